@@ -145,12 +145,8 @@ container.register("createCookingScope", factory(createCreateCookingScope), valu
 
 function createCreateCookingScope(parent) {
 	return async function createCookingScope() {
-		const child = new Container();
+		const child = parent.createScope();
 
-		child.register("parent", value(parent));
-		child.register("store", "parent.store");
-		child.register("meringueFactory", bean("parent.meringueFactory"));
-		child.register("jamFactory", bean("parent.jamFactory"));
 		child.register("parentCreateEgg", value(await parent.get("createEgg")));
 		child.register("mixer", constructor(Mixer), "butter", "sugar", "eggForMixture", "milk", "flour");
 		child.register("flour", factory(createFlour), "store");
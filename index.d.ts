@@ -1,44 +1,176 @@
 declare namespace minimalistAsyncDI {
-	type Specifier = BeanSpecifier | string;
-	type Creator = BeanCreator | string;
-	type Dependency = BeanInjector | string;
+	type BeanKey = string | symbol | Function;
+	type Specifier = BeanSpecifier | BeanKey;
+	type Creator = BeanCreator | string | symbol;
+	type Dependency = BeanInjector | BeanKey;
 	type BeanSpecifier = { specifier: true };
 	type BeanCreator = { creator: true };
 	type BeanInjector = { injector: true };
-	const bean: (name: string) => string;
+	type BeanReference = BeanSpecifier & BeanCreator & BeanInjector;
+	const bean: (<K extends string | symbol>(name: K) => K) & ((name: Function) => BeanReference);
 	const collection: (
-		name: string,
+		name: BeanKey,
 		getter: (this: any, name: string) => any,
 		setter: (this: any, name: string, value: any) => any
 	) => BeanSpecifier;
-	const replacement: (specifier: Specifier, retainedName?: string) => BeanSpecifier;
+	const transient: (name: BeanKey) => BeanSpecifier;
+	const requestScoped: (name: BeanKey) => BeanSpecifier;
+	const eager: (specifier: Specifier) => BeanSpecifier;
+	const tag: (specifier: Specifier, ...tags: string[]) => BeanSpecifier;
+	const replacement: (specifier: Specifier, retainedName?: BeanKey) => BeanSpecifier;
 	const value: (value: any) => BeanCreator & BeanInjector;
-	const promise: ((promise: Promise<any>) => BeanCreator) &
-		((name: string) => BeanInjector);
-	const constructor: (ctor: { new(...args: any): any }) => BeanCreator;
-	const factory: (factory: function) => BeanCreator;
-	const bound: (name: string) => BeanInjector;
-	const promiser: (name: string) => BeanInjector;
-	const seeker: (name: string) => BeanInjector;
-	class BeanError extends Error {}
+	type RetryPolicy = {
+		attempts?: number;
+		backoff?: number | ((attempt: number, error: any) => number);
+		retryIf?: (error: any) => boolean;
+	};
+	type CreatorOptions = { timeout?: number; retry?: RetryPolicy; fallback?: BeanCreator };
+	type ContainerEvent =
+		'registered' | 'replaced' | 'evicted' | 'creating' | 'retrying' | 'created' | 'failed' |
+		'childSet';
+	type ContainerListener = (details: { name: BeanKey; [key: string]: any }) => void;
+	type StartOptions = { concurrency?: number; signal?: AbortSignal };
+	type ContainerOptions = {
+		timeout?: number;
+		on?: { [event in ContainerEvent]?: ContainerListener };
+		resetFailed?: boolean;
+		strict?: boolean;
+	};
+	const promise: ((promise: Promise<any>, options?: CreatorOptions) => BeanCreator) &
+		((name: BeanKey) => BeanInjector);
+	const constructor: (
+		ctor: { new(...args: any): any },
+		options?: { retry?: RetryPolicy; fallback?: BeanCreator }
+	) => BeanCreator;
+	const factory: (factory: function, options?: CreatorOptions) => BeanCreator;
+	const resource: (
+		acquire: function,
+		release: (bean: any) => any,
+		options?: CreatorOptions
+	) => BeanCreator;
+	const bound: (name: BeanKey) => BeanInjector;
+	const promiser: (name: BeanKey) => BeanInjector;
+	const lazy: (name: BeanKey) => BeanInjector;
+	const seeker: (name: BeanKey) => BeanInjector;
+	const optional: (name: BeanKey, defaultValue?: any) => BeanInjector;
+	const tagged: (tag: string, options?: { map?: boolean }) => BeanInjector;
+	const signal: () => BeanInjector;
+	type BeanDescription = {
+		name: BeanKey;
+		creator: 'value' | 'promise' | 'constructor' | 'factory' | 'resource' | 'alias';
+		transient: boolean;
+		requestScoped: boolean;
+		tags: string[];
+		dependencies: {
+			injector: 'bean' | 'bound' | 'value' | 'promise' | 'promiser' | 'lazy' | 'seeker' |
+				'optional' | 'tagged' | 'signal';
+			name?: BeanKey;
+			tag?: string;
+		}[];
+		children: string[];
+		state: 'registered' | 'pending' | 'created' | 'failed' | 'disposed';
+	};
+	type BeanProfile = {
+		beans: {
+			name: BeanKey;
+			start: number;
+			waiting: number;
+			creating: number;
+			end: number;
+			failed: boolean;
+		}[];
+		criticalPath: BeanKey[];
+	};
+	type BeanProblem = {
+		type: 'missing dependency' | 'missing alias target' | 'cycle';
+		message: string;
+		name?: BeanKey;
+		dependency?: BeanKey;
+		names?: BeanKey[];
+	};
+	type ConfigSource = { load: () => object };
+	type ConfigOptions = {
+		name?: string;
+		types?: { [path: string]: 'string' | 'number' | 'boolean' | 'json' };
+		required?: string[];
+	};
+	const configFile: (path: string) => ConfigSource;
+	const configEnv: (
+		env: { [name: string]: string | undefined },
+		options?: { prefix?: string; separator?: string }
+	) => ConfigSource;
+	type BeanErrorCode =
+		'NO_BEAN' | 'ALREADY_REGISTERED' | 'CYCLE' | 'CREATION_FAILED' | 'TIMEOUT' | 'ABORTED' |
+		'CAPTIVE_DEPENDENCY' | 'NO_REQUEST_SCOPE' | 'BEING_CREATED' | 'NOT_CREATED' |
+		'INVALID_GRAPH' | 'INVALID_CONFIGURATION' | 'INVALID_MANIFEST' | 'INVALID_MODULE' |
+		'START_FAILED' | 'DISPOSAL_FAILED' | 'INVALID_ARGUMENT';
+	class BeanError extends Error {
+		code: BeanErrorCode;
+		beanName?: BeanKey;
+		path: BeanKey[];
+		cause?: any;
+		errors?: Error[];
+		problems?: BeanProblem[];
+	}
 	class Container {
-		get: (name: string) => Promise<any>;
+		constructor(options?: ContainerOptions);
+		get: (<T>(token: abstract new (...args: any) => T, options?: { signal?: AbortSignal }) =>
+			Promise<T>) & ((name: BeanKey, options?: { signal?: AbortSignal }) => Promise<any>);
 		register: (
 			specifier: Specifier,
 			creator: Creator,
 			...dependencies: Dependency[]
 		) => undefined;
+		on: (event: ContainerEvent, listener: ContainerListener) => Container;
+		off: (event: ContainerEvent, listener: ContainerListener) => Container;
+		postProcess: (
+			pattern: string | symbol | BeanReference | RegExp | Function |
+				((name: BeanKey) => boolean),
+			processor: (this: Container, bean: any, name: BeanKey) => any
+		) => undefined;
+		registerConfig: (
+			source: object | ConfigSource | (object | ConfigSource)[],
+			options?: ConfigOptions
+		) => undefined;
+		registerManifest: (
+			manifest: string | { [name: string]: object },
+			options?: { basedir?: string }
+		) => undefined;
+		scan: (dir: string, options?: { extensions?: string[]; recursive?: boolean }) => undefined;
+		createScope: () => Container;
+		runInScope: <T>(fn: () => T | Promise<T>) => Promise<T>;
+		fork: () => Container;
+		reset: (name: BeanKey) => undefined;
+		describe: () => BeanDescription[];
+		exportGraph: (format?: 'json' | 'dot' | 'mermaid') => string;
+		profile: () => BeanProfile;
+		exportProfile: (format?: 'table' | 'trace') => string;
+		validate: () => undefined;
+		start: ((names?: BeanKey[], options?: StartOptions) => Promise<void>) &
+			((options?: StartOptions) => Promise<void>);
+		dispose: () => Promise<void>;
 		Container = Container;
 		bean = bean;
 		collection = collection;
 		replacement = replacement;
+		transient = transient;
+		requestScoped = requestScoped;
+		eager = eager;
+		tag = tag;
 		value = value;
 		promise = promise;
 		['constructor'] = constructor;
 		factory = factory;
+		resource = resource;
 		bound = bound;
 		promiser = promiser;
+		lazy = lazy;
 		seeker = seeker;
+		optional = optional;
+		tagged = tagged;
+		signal = signal;
+		configFile = configFile;
+		configEnv = configEnv;
 		BeanError = BeanError;
 	}
 }
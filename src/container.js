@@ -1,45 +1,99 @@
 "use strict";
 
+const { performance } = require("perf_hooks");
+
 const everything = {};
 
+const EVENTS = [
+	"registered", "replaced", "evicted", "creating", "retrying", "created", "failed", "childSet"
+];
+
 /*
  * Container.
  */
 
 everything.Container = class Container {
 
-	constructor() {
+	constructor(options = {}) {
+		validateTimeout(options.timeout);
+
+		this._options = options;
+		this._listeners = new Map(EVENTS.map(event => [event, []]));
 		this._registrations = new Map();
 		this._pending = new Map();
 		this._beans = new Map();
+		this._definitions = new Map();
+		this._postProcessors = [];
+		this._creationOrder = [];
+		this._creations = new Map();
+		this._timings = new Map();
+		this._parent = null;
+		this._scannedSources = new Map();
+		this._evicting = null;
 
 		this.register = (...args) => this._validateAndRegister(...args);
 		this.get = (...args) => this._get(...args);
+		this.dispose = () => this._dispose();
+		this.createScope = () => this._createScope();
+		this.runInScope = (...args) => this._runInScope(...args);
+		this.fork = () => this._fork();
+		this.reset = (...args) => this._reset(...args);
+		this.describe = () => this._describe();
+		this.exportGraph = (...args) => this._exportGraph(...args);
+		this.profile = () => this._profile();
+		this.exportProfile = (...args) => this._exportProfile(...args);
+		this.validate = () => this._validate();
+		this.start = (...args) => this._start(...args);
+		this.on = (...args) => this._on(...args);
+		this.off = (...args) => this._off(...args);
+		this.postProcess = (...args) => this._addPostProcessor(...args);
+		this.registerConfig = (...args) => this._registerConfig(...args);
+		this.registerManifest = (...args) => this._registerManifest(...args);
+		this.scan = (...args) => this._scan(...args);
+
+		Object.entries(options.on || {}).forEach(([event, listener]) => this._on(event, listener));
 	}
 
 	_validateAndRegister(specifier, creator, ...dependencies) {
-		if (typeof specifier === 'string') {
+		specifier = dereference(specifier);
+		dependencies = dependencies.map(dereference);
+
+		if (isBeanKey(specifier)) {
 			specifier = new BeanCollection(specifier);
 		}
 
 		if (!(specifier instanceof BeanConfig) || !specifier.specifier) {
 			throw new BeanError("first argument to Container#register must be a bean specifier; " +
-					"use a string, bean(), collection(), or replacement()");
+					"use a string, bean(), collection(), transient(), requestScoped(), eager(), " +
+					"tag(), or replacement()");
 		}
 
-		if (typeof creator !== 'string' &&
-				(!(creator instanceof BeanConfig) || !creator.creator)) {
+		if (!refersToBean(creator) && (!(creator instanceof BeanConfig) || !creator.creator)) {
 			throw new BeanError("second argument to Container#register must be a bean creator; " +
-					"use a string, bean(), constructor(), factory(), or value()");
+					"use a string, bean(), constructor(), factory(), resource(), or value()");
+		}
+
+		const innerSpecifier = (specifier instanceof BeanReplacement) ?
+				specifier.specifier : specifier;
+
+		if (innerSpecifier.transient &&
+				!(creator instanceof BeanConstructor) && !(creator instanceof BeanFactory)) {
+			throw new BeanError("transient beans must be created using constructor() or factory()");
+		}
+
+		if (innerSpecifier.requestScoped &&
+				!(creator instanceof BeanConstructor) && !(creator instanceof BeanFactory)) {
+			throw new BeanError("request-scoped beans must be created using constructor(), " +
+					"factory() or resource()");
 		}
 
-		if (typeof creator === 'string') {
+		if (refersToBean(creator)) {
 			if (dependencies.length) {
 				throw new BeanError("aliases cannot have dependencies");
 			}
 
-			dependencies = [ creator ];
-			creator = { factory: (bean) => bean };
+			dependencies = [ dereference(creator) ];
+			creator = { factory: (bean) => bean, alias: true };
 		}
 
 		if (creator instanceof BeanValue) {
@@ -55,14 +109,22 @@ everything.Container = class Container {
 
 			const catchingPromise = creator.promise.then(bean => ({ bean }), error => ({ error }));
 
-			creator = { promise: catchingPromise };
+			creator = { promise: catchingPromise, timeout: creator.timeout };
+		}
+
+		const fn = (creator instanceof BeanConstructor) ? creator.Constructor :
+				(creator instanceof BeanFactory) ? creator.factory : undefined;
+
+		if (typeof fn === 'function') {
+			dependencies = this._autowire(specifier.name, fn, dependencies);
 		}
 
 		dependencies.forEach(dependency => {
-			if (typeof dependency !== 'string' &&
+			if (!isBeanKey(dependency) &&
 					(!(dependency instanceof BeanConfig) || !dependency.injector)) {
 				throw new BeanError("dependencies must be bean names or injectors; " +
-						"use strings, bean(), promise(), promiser(), or seeker()");
+						"use strings, bean(), optional(), promise(), promiser(), lazy(), " +
+						"seeker(), tagged(), or signal()");
 			}
 		});
 
@@ -73,350 +135,1716 @@ everything.Container = class Container {
 		}
 	}
 
-	async _get(name) {
-		const bean = (await this._resolveBeanNamed(name, new Set()));
-		if (bean.error) throw bean.error;
-		return bean.bean;
-	}
-
-	_replace(specifier, creator, dependencies) {
-		const replacement = specifier.specifier;
-
-		if (this._beans.has(replacement.name) || this._pending.has(replacement.name)) {
-			throw new BeanError(`cannot replace already-created bean '${replacement.name}'`);
-		}
+	_autowire(name, fn, dependencies) {
+		if (!dependencies.length && fn.inject !== undefined) {
+			if (!Array.isArray(fn.inject)) {
+				throw new BeanError(`static inject of '${keyName(fn)}' ` +
+						`for bean '${keyName(name)}' must be an array of bean names or injectors`,
+						{ beanName: name });
+			}
 
-		if (!this._registrations.has(replacement.name)) {
-			throw new BeanError(`bean '${replacement.name}' to replace does not exist`);
+			dependencies = fn.inject.slice();
 		}
 
-		if (specifier.retainedName) {
-			const retainedRegistration = this._registrations.get(replacement.name);
-			retainedRegistration.name = specifier.retainedName;
-
-			this._registrations.set(specifier.retainedName, retainedRegistration);
+		if (this._options.strict && dependencies.length !== fn.length) {
+			const count = (n, noun, plural) => `${n} ${n === 1 ? noun : plural}`;
 
-			this._maybeRegisterInParentBean(specifier.retainedName);
+			throw new BeanError(`'${keyName(fn)}' for bean '${keyName(name)}' takes ` +
+					`${count(fn.length, "parameter", "parameters")}, but has ` +
+					count(dependencies.length, "dependency", "dependencies"), { beanName: name });
 		}
 
-		this._registrations.set(replacement.name, {
-			...replacement,
-			...creator,
-			dependencies,
-			children: []
-		});
+		return dependencies;
 	}
 
-	_register(specifier, creator, dependencies) {
-		if (this._registrations.has(specifier.name) || this._beans.has(specifier.name) ||
-				this._pending.has(specifier.name)) {
-			throw new BeanError(`'${specifier.name}' already registered`);
+	async _get(name, options = {}) {
+		if (this._evicting) await this._evicting;
+
+		const { signal } = options;
+
+		if (signal && signal.aborted) {
+			throw new BeanError(`getting bean '${keyName(name)}' was aborted`,
+					{ code: "ABORTED", beanName: name });
 		}
 
-		this._registrations.set(specifier.name, {
-			...specifier,
-			...creator,
-			dependencies,
-			children: []
-		});
+		const resolution = this._resolveBeanNamed(name, new Set(), signal);
 
-		this._maybeRegisterInParentBean(specifier.name);
+		const bean = signal ?
+				await this._waitForCreation(name, undefined, resolution, signal) :
+				await resolution;
+		if (bean.error) throw bean.error;
+		return bean.bean;
 	}
 
-	_maybeRegisterInParentBean(name) {
-		const [parentName, propertyName] = this._identifyParentAndProperty(name);
+	async _start(names, options) {
+		if (names && !Array.isArray(names)) {
+			options = names;
+			names = undefined;
+		}
 
-		if (!parentName || !propertyName) return;
+		const { concurrency = Infinity, signal } = options || {};
 
-		if (this._beans.has(parentName)) {
-			const createdBean = this._beans.get(parentName);
-			if (!createdBean.bean || createdBean.error) return;
-			this._beans.delete(parentName);
-			this._pending.set(parentName, Promise.resolve(createdBean));
+		if (!(concurrency >= 1)) {
+			throw new BeanError("concurrency must be at least 1");
 		}
 
-		if (this._pending.has(parentName)) {
-			const pendingBean = this._pending.get(parentName);
-			const promisedChildBean = this.get(name);
-			const pendingWithProperty = pendingBean.then(resolvedBean => {
-				if (resolvedBean.bean && !resolvedBean.error) {
-					return promisedChildBean.then(async childBean => {
-						await this._setChild(resolvedBean, propertyName, childBean);
-						return resolvedBean;
-					}, error => {
-						resolvedBean.error = error;
-						return resolvedBean;
-					});
-				}
-				return resolvedBean;
-			});
-			this._pending.set(parentName, pendingWithProperty);
-			return;
+		if (!names) {
+			names = Array.from(this._registrations.entries())
+			.filter(([, registration]) => registration.eager)
+			.map(([name]) => name);
 		}
 
-		if (this._registrations.has(parentName)) {
-			const registration = this._registrations.get(parentName);
-			registration.children.push(name);
+		/* Such beans would be created twice, and neither would be kept or disposed. */
+		const unstartable = names.find(name => this._isTransient(this._registrationNameFor(name)) ||
+				this._isRequestScoped(this._registrationNameFor(name)));
+		if (unstartable !== undefined) {
+			throw new BeanError(`cannot start transient or request-scoped bean ` +
+					`'${keyName(unstartable)}'`, { beanName: unstartable });
 		}
-	}
 
-	async _setChild(resolvedParent, childName, childBean) {
-		const setter = resolvedParent.setter ? resolvedParent.setter : defaultSetter;
-		setter.call(resolvedParent.bean, childName, childBean);
-	}
+		await this._createInDependencyOrder(names.map(name => this._registrationNameFor(name)),
+				concurrency, signal);
 
-	async _resolveBeanNamed(name, dependants) {
-		if (dependants.has(name)) {
-			throw new BeanError(`dependency '${name}' creates a cycle`);
-		}
+		const failures = (await Promise.all(names.map(name => this._get(name, { signal }).then(
+				() => null,
+				error => ({ name, error })
+		)))).filter(failure => failure);
 
-		if (this._beans.has(name)) {
-			return this._beans.get(name);
+		if (failures.length) {
+			throw this._aggregateError("errors while starting beans", failures, "START_FAILED");
 		}
+	}
 
-		if (this._pending.has(name)) {
-			return await this._pending.get(name);
-		}
+	_createInDependencyOrder(names, concurrency, signal) {
+		const dependencies = new Map();
 
-		if (this._registrations.has(name)) {
-			const { promise, resolve, reject } = this._createPromise();
-			this._pending.set(name, promise);
+		const collect = (name) => {
+			if (dependencies.has(name) || !this._registrations.has(name)) return;
 
 			const registration = this._registrations.get(name);
-			this._registrations.delete(name);
 
-			this._createBeanForRegistration(registration, dependants).then(resolve, reject);
-			const bean = await promise;
-			this._beans.set(name, bean);
+			/* Children are created with their parent, so create them first, within the limit. */
+			const registrationDependencies = [
+				...this._synchronousDependenciesOf(registration),
+				...registration.children.filter(child => this._registrations.has(child))
+			];
 
-			this._pending.delete(name);
+			dependencies.set(name, registrationDependencies);
+			registrationDependencies.forEach(collect);
+		};
 
-			return bean;
-		}
+		names.forEach(collect);
 
-		const propertyOfParentBean = await this._maybeResolvePropertyOfParentBean(name, dependants);
+		const started = new Set();
+		const settled = new Set();
+		let running = 0;
 
-		if (propertyOfParentBean instanceof Error) {
-			const e = propertyOfParentBean;
+		return new Promise(resolve => {
+			const startReadyBeans = () => {
+				const remaining = Array.from(dependencies.keys())
+				.filter(name => !started.has(name));
 
-			const messagePrefix = `no bean registered with name '${name}' ` +
-					`and while resolving parent:\n`;
-			const message = `${messagePrefix}${e.name}: ${e.message}`;
+				if (!remaining.length && !running) return resolve();
 
-			const toThrow = new BeanError(message);
-			toThrow.stack = `${toThrow.name}: ${messagePrefix}${e.stack}`;
+				let ready = remaining.filter(name => dependencies.get(name).every(dependency => {
+					return settled.has(dependency) || !dependencies.has(dependency);
+				}));
 
-			throw toThrow;
-		}
+				/* Only a cycle leaves nothing ready; creating the beans will report it. */
+				if (!ready.length && !running) ready = remaining;
 
-		if (propertyOfParentBean) return propertyOfParentBean;
+				ready.slice(0, concurrency - running).forEach(name => {
+					started.add(name);
+					running++;
 
-		throw new BeanError(`no bean registered with name '${name}'`);
-	}
+					this._get(name, { signal }).catch(() => {}).then(() => {
+						settled.add(name);
+						running--;
+						startReadyBeans();
+					});
+				});
+			};
 
-	_createPromise() {
-		let resolve, reject;
-		const promise = new Promise((res, rej) => {
-			resolve = res;
-			reject = rej;
+			startReadyBeans();
 		});
-		return { promise, resolve, reject };
 	}
 
-	async _maybeResolvePropertyOfParentBean(name, dependants) {
-		const [parentName, propertyName] = this._identifyParentAndProperty(name);
+	_on(event, listener) {
+		if (!this._listeners.has(event)) {
+			throw new BeanError(`unknown event '${event}'; use ` +
+					EVENTS.map(event => `'${event}'`).join(", "));
+		}
 
-		if (!parentName || !propertyName) return;
+		if (typeof listener !== 'function') {
+			throw new BeanError("event listener must be a function");
+		}
 
-		try {
-			const parent = await this._resolveBeanNamed(parentName, dependants);
+		this._listeners.get(event).push(listener);
 
-			if (parent.error) throw parent.error;
+		return this;
+	}
 
-			const getter = parent.getter ? parent.getter : defaultGetter;
+	_off(event, listener) {
+		const listeners = this._listeners.get(event) || [];
+		const index = listeners.indexOf(listener);
 
-			return {
-				parent: parent.bean,
-				bean: await getter.call(parent.bean, propertyName)
-			};
-		} catch (error) {
-			if (!(error instanceof BeanError)) {
-				throw error;
+		if (index !== -1) listeners.splice(index, 1);
+
+		return this;
+	}
+
+	_emit(event, details) {
+		this._listeners.get(event).slice().forEach(listener => {
+			try {
+				listener.call(this, details);
+			} catch (error) {
+				/* Listeners are for observation only; they must not break the container. */
 			}
+		});
+	}
 
-			return error;
+	_addPostProcessor(pattern, processor) {
+		if (typeof processor !== 'function') {
+			throw new BeanError("post-processor must be a function");
 		}
+
+		this._postProcessors.push({ matches: nameMatcher(pattern), processor });
 	}
 
-	async _createBeanForRegistration(registration, dependants) {
-		try {
-			const dependencyDependants = new Set(dependants).add(registration.name);
+	_postProcessorsFor(name) {
+		const inherited = this._parent ? this._parent._postProcessorsFor(name) : [];
 
-			const resolvedDependencies =
-					await Promise.all(this._dependencyConfigsFor(registration)
-					.map(config => this._resolveDependency(config, dependencyDependants)));
+		return [
+			...inherited,
+			...this._postProcessors.filter(({ matches }) => matches(name))
+		];
+	}
 
-			const bean = await this._createBeanGivenDependencies(
-					registration, resolvedDependencies);
+	async _postProcess(registration, bean) {
+		if (registration.alias || !bean.bean || bean.error) return;
 
-			bean.getter = registration.getter;
-			bean.setter = registration.setter;
+		for (const { processor } of this._postProcessorsFor(registration.name)) {
+			const replacementBean = await processor.call(this, bean.bean, registration.name);
 
-			if (bean.bean && !bean.error && registration.children) {
-				await Promise.all(registration.children.map(childName => {
-					return this.get(childName).then(childBean => {
-						if (bean.error) return;
-						const [, propertyName] = this._identifyParentAndProperty(childName);
-						return this._setChild(bean, propertyName, childBean);
-					}, error => {
-						if (bean.error) return;
-						bean.error = error;
-					});
-				}));
+			if (replacementBean !== undefined) bean.bean = replacementBean;
+		}
+	}
+
+	_registerConfig(sources, options = {}) {
+		const { name = "config", required = [], types = {} } = options;
+
+		const layers = (Array.isArray(sources) ? sources : [ sources ]).map(source => {
+			if (source instanceof ConfigSource) return source.load();
+
+			if (!isPlainObject(source)) {
+				throw new BeanError("configuration sources must be plain objects, " +
+						"configFile(), or configEnv()");
 			}
 
-			return bean;
-		} catch (e) {
-			const messagePrefix = `while creating bean '${registration.name}':\n`;
-			const message = `${messagePrefix}${e.name}: ${e.message}`;
+			return source;
+		});
 
-			const toThrow = (e instanceof BeanError) ? new BeanError(message) : new Error(message);
-			toThrow.stack = `${toThrow.name}: ${messagePrefix}${e.stack}`;
+		const config = layers.reduce((merged, layer) => mergeConfig(merged, layer), {});
 
-			throw toThrow;
-		}
-	}
+		Object.entries(types).forEach(([path, type]) => {
+			const configValue = getConfigValue(config, path);
 
-	_dependencyConfigsFor(registration) {
-		const dependencyConfigs = registration.dependencies;
+			if (configValue !== undefined) {
+				setConfigValue(config, path, coerceConfigValue(path, configValue, type));
+			}
+		});
 
-		if (typeof registration.Constructor === 'string') {
-			dependencyConfigs.push(registration.Constructor);
-		}
-		if (typeof registration.factory === 'string') {
-			dependencyConfigs.push(new BeanBound(registration.factory));
+		const missing = required.filter(path => getConfigValue(config, path) === undefined);
+
+		if (missing.length) {
+			throw new BeanError(`missing required configuration for '${name}': ` +
+					missing.map(path => `'${path}'`).join(", "), { code: "INVALID_CONFIGURATION" });
 		}
 
-		return dependencyConfigs;
+		this._validateAndRegister(name, new BeanValue(config));
 	}
 
-	_resolveDependency(config, dependants) {
-		if (typeof config === 'string') {
-			return this._resolveBeanNamed(config, dependants);
-		}
+	_registerManifest(manifest, options = {}) {
+		let basedir = options.basedir || process.cwd();
+		let source = "manifest";
 
-		if (config instanceof BeanBound) {
-			return this._resolveBeanNamed(config.name, dependants).then(bean => {
-				if (bean.error) return bean;
-				return { bean: bean.bean.bind(bean.parent) };
-			});
-		}
+		if (typeof manifest === 'string') {
+			const path = require("path");
+			const file = path.resolve(basedir, manifest);
 
-		if (config instanceof BeanValue) {
-			return { bean: config.value };
+			manifest = loadManifestFile(file);
+			basedir = path.dirname(file);
+			source = `manifest '${file}'`;
 		}
 
-		if (config instanceof BeanPromise) {
-			return { bean: this._resolveBeanNamed(config.name, new Set()).then(bean => bean.bean) };
+		if (!isPlainObject(manifest)) {
+			throw new BeanError("manifest must be an object mapping bean names to entries");
 		}
 
-		if (config instanceof BeanPromiser) {
-			return { bean: () => {
-				return this._resolveBeanNamed(config.name, new Set()).then(bean => bean.bean);
-			}};
-		}
+		Object.entries(manifest).forEach(([name, entry]) => {
+			try {
+				this._validateAndRegister(...manifestRegistration(name, entry, basedir));
+			} catch (e) {
+				throw prefixedError(`in entry '${name}' of ${source}:\n`, e, "INVALID_MANIFEST");
+			}
+		});
+	}
 
-		if (config instanceof BeanSeeker) {
-			return { bean: () => {
-				const bean = this._beans.get(config.name);
-				return bean ? bean.bean : undefined;
-			}};
-		}
+	_scan(dir, options = {}) {
+		const path = require("path");
+		const { extensions = [".js", ".cjs"], recursive = true } = options;
+
+		const files = scanFiles(path.resolve(dir), extensions, recursive);
+
+		files.forEach(file => {
+			try {
+				scannedEntries(require(file)).forEach(metadata => {
+					if (!isPlainObject(metadata) || typeof metadata.name !== 'string') {
+						throw new BeanError(
+								"registration metadata must be an object with a 'name'",
+								{ code: "INVALID_MANIFEST" });
+					}
+
+					const { name, ...entry } = metadata;
+
+					if (!entry.replace && this._scannedSources.has(name)) {
+						throw new BeanError(`'${name}' already registered ` +
+								`in module '${this._scannedSources.get(name)}'`,
+								{ code: "ALREADY_REGISTERED", beanName: name });
+					}
+
+					this._validateAndRegister(
+							...manifestRegistration(name, entry, path.dirname(file)));
+					this._scannedSources.set(name, file);
+				});
+			} catch (e) {
+				throw prefixedError(`in module '${file}':\n`, e, "INVALID_MODULE");
+			}
+		});
 	}
 
-	async _createBeanGivenDependencies(registration, resolvedDependencies) {
-		if (registration.promise) {
-			return await registration.promise;
+	_createScope() {
+		const scope = new Container(this._options);
+		scope._parent = this;
+		return scope;
+	}
+
+	async _runInScope(fn) {
+		if (typeof fn !== 'function') {
+			throw new BeanError("argument to runInScope() must be a function");
 		}
 
-		let fn = registration.Constructor || registration.factory;
+		const requestScope = { containers: new Map(), creationOrder: [] };
 
-		if (!fn) {
-			return { bean: registration.value };
+		let result, failure;
+		try {
+			result = await requestScopeStorage().run(requestScope, fn);
+		} catch (error) {
+			failure = { error };
 		}
 
-		if (typeof fn === 'string') {
-			const resolvedFn = resolvedDependencies.pop();
-			if (resolvedFn.error) throw resolvedFn.error;
-			fn = resolvedFn.bean;
-		}
+		await this._disposeRequestScope(requestScope);
 
-		const dependencies = resolvedDependencies.map(dependency => {
-			if (dependency.error) throw dependency.error;
-			return dependency.bean;
-		});
+		if (failure) throw failure.error;
 
-		if (registration.Constructor) {
-			return { bean: new fn(...dependencies) };
-		}
-		if (registration.factory) {
-			return { bean: await fn(...dependencies) };
-		}
+		return result;
 	}
 
-	_identifyParentAndProperty(name) {
-		if (name.slice(-1) === "]") {
-			return this._identifyParentAndBracketProperty(name);
+	async _disposeRequestScope(requestScope) {
+		const settled = new Set();
+
+		let unsettled;
+		while ((unsettled = Array.from(requestScope.containers.values())
+				.reduce((all, { pending }) => all.concat(Array.from(pending.values())), [])
+				.filter(pending => !settled.has(pending))).length) {
+			await Promise.all(unsettled.map(pending => pending.then(() => {}, () => {})));
+			unsettled.forEach(pending => settled.add(pending));
 		}
 
-		return this._identifyParentAndDotProperty(name);
-	}
+		const errors = [];
 
-	_identifyParentAndBracketProperty(name) {
-		const openingBracket = name.lastIndexOf("[");
+		for (const { name, createdBean } of requestScope.creationOrder.slice().reverse()) {
+			if (!createdBean.owned || createdBean.error) continue;
 
-		if (openingBracket === -1) return [null, null];
+			try {
+				await this._disposeBean(createdBean);
+			} catch (error) {
+				errors.push({ name, error });
+			}
+		}
 
-		const parentName = name.slice(0, openingBracket);
-		const propertyName = name.slice(openingBracket + 1, -1);
+		/* Work left running by fn must not create beans which nothing would dispose. */
+		requestScope.closed = true;
 
-		return [parentName, propertyName];
+		if (errors.length) {
+			throw this._aggregateError("errors while disposing request-scoped beans", errors,
+					"DISPOSAL_FAILED");
+		}
 	}
 
-	_identifyParentAndDotProperty(name) {
-		const lastDot = name.lastIndexOf(".");
+	_fork() {
+		const fork = new Container(this._options);
+		fork._parent = this._parent;
+		fork._postProcessors = this._postProcessors.slice();
+		fork._scannedSources = new Map(this._scannedSources);
+		fork._listeners = new Map(Array.from(this._listeners,
+				([event, listeners]) => [event, listeners.slice()]));
+
+		/* Registrations are removed once their beans are created, but definitions are kept. */
+		this._definitions.forEach((definition, name) => {
+			const registration = {
+				...definition.registration,
+				dependencies: definition.registration.dependencies.slice(),
+				children: definition.children.slice()
+			};
 
-		if (lastDot === -1) return [null, null];
+			fork._registrations.set(name, registration);
+			fork._definitions.set(name,
+					{ registration, state: "registered", children: definition.children.slice() });
+		});
 
-		const parentName = name.slice(0, lastDot);
-		const propertyName = name.slice(lastDot + 1);
+		return fork;
+	}
 
-		return [parentName, propertyName];
+	_has(name) {
+		return this._registrations.has(name) || this._beans.has(name) || this._pending.has(name) ||
+				Boolean(this._parent && this._parent._has(name));
 	}
 
-};
+	_isRequestScoped(name) {
+		if (this._registrations.has(name)) {
+			return Boolean(this._registrations.get(name).requestScoped);
+		}
+		if (this._beans.has(name) || this._pending.has(name)) return false;
+		return Boolean(this._parent && this._parent._isRequestScoped(name));
+	}
 
-function defaultGetter(name) {
-	if (this instanceof Map || this instanceof exports.Container) {
-		return this.get(name);
+	_isTransient(name) {
+		if (this._registrations.has(name)) return Boolean(this._registrations.get(name).transient);
+		if (this._beans.has(name) || this._pending.has(name)) return false;
+		return Boolean(this._parent && this._parent._isTransient(name));
 	}
 
-	return this[name];
-}
+	_namesTagged(tag) {
+		const inherited = this._parent ? this._parent._namesTagged(tag) : [];
 
-function defaultSetter(name, value) {
-	if (this instanceof Map) {
-		return this.set(name, value);
+		const names = Array.from(this._definitions.entries())
+		.filter(([, definition]) => (definition.registration.tags || []).includes(tag))
+		.map(([name]) => name);
+
+		return [...inherited.filter(name => !this._definitions.has(name)), ...names];
 	}
 
-	if (this instanceof exports.Container) {
-		return this.register(name, this.value(value));
+	_seek(name) {
+		if (this._beans.has(name)) return this._beans.get(name);
+		if (this._parent) return this._parent._seek(name);
 	}
 
-	this[name] = value;
-}
+	async _dispose() {
+		if (this._evicting) await this._evicting;
+		await this._settlePending();
 
-/*
+		const errors = [];
+		const disposed = new Set();
+
+		for (const name of this._disposalOrder()) {
+			const createdBean = this._beans.has(name) ?
+					this._beans.get(name) : await this._pending.get(name);
+
+			this._beans.delete(name);
+			this._pending.delete(name);
+			this._definitions.get(name).state = "disposed";
+
+			if (!createdBean.owned || createdBean.error || disposed.has(createdBean.bean)) continue;
+
+			disposed.add(createdBean.bean);
+
+			try {
+				await this._disposeBean(createdBean);
+			} catch (error) {
+				errors.push({ name, error });
+			}
+		}
+
+		this._creationOrder = [];
+
+		if (errors.length) {
+			throw this._aggregateError("errors while disposing beans", errors, "DISPOSAL_FAILED");
+		}
+	}
+
+	_disposalOrder() {
+		const remaining = this._creationOrder.slice();
+		const dependencies = new Map(remaining.map(name => [name, this._dependencyNamesOf(name)]));
+		const isDependedOn = name => remaining.some(dependant => dependant !== name &&
+				dependencies.get(dependant).includes(name));
+
+		const order = [];
+		while (remaining.length) {
+			/* The latest created goes first among equals, and breaks cycles of async injectors. */
+			let index = remaining.length - 1;
+			while (index >= 0 && isDependedOn(remaining[index])) index--;
+
+			order.push(remaining.splice(index >= 0 ? index : remaining.length - 1, 1)[0]);
+		}
+
+		return order;
+	}
+
+	_dependencyNamesOf(name) {
+		const definition = this._definitions.get(name);
+
+		return this._dependencyConfigsFor(definition.registration)
+		.map(config => this._describeDependency(config))
+		.map(({ name: dependency, tag }) => (tag !== undefined) ? this._namesTagged(tag) :
+				(dependency !== undefined) ? [this._registrationNameFor(dependency)] : [])
+		.reduce((allNames, names) => allNames.concat(names), [])
+		.concat(definition.children);
+	}
+
+	_aggregateError(description, failures, code) {
+		const message = `${description}:\n` + failures.map(({ name, error }) =>
+				`'${keyName(name)}': ${error.name}: ${error.message}`).join("\n");
+
+		const toThrow = new BeanError(message, { code });
+		toThrow.errors = failures.map(({ error }) => error);
+
+		return toThrow;
+	}
+
+	async _settlePending() {
+		const settled = new Set();
+
+		let unsettled;
+		while ((unsettled = Array.from(this._pending.values())
+				.filter(pending => !settled.has(pending))).length) {
+			await Promise.all(unsettled.map(pending => pending.then(() => {}, () => {})));
+			unsettled.forEach(pending => settled.add(pending));
+		}
+	}
+
+	async _disposeBean(createdBean) {
+		const bean = createdBean.bean;
+
+		if (createdBean.release) {
+			return await createdBean.release(bean);
+		}
+
+		if (!bean || (typeof bean !== 'object' && typeof bean !== 'function')) return;
+
+		const disposer = (typeof Symbol.asyncDispose === 'symbol' && bean[Symbol.asyncDispose]) ||
+				bean.dispose || bean.close;
+
+		if (typeof disposer === 'function') {
+			await disposer.call(bean);
+		}
+	}
+
+	_describe() {
+		return Array.from(this._definitions.entries()).map(([name, definition]) => ({
+			name,
+			creator: this._creatorKindOf(definition.registration),
+			transient: Boolean(definition.registration.transient),
+			requestScoped: Boolean(definition.registration.requestScoped),
+			tags: (definition.registration.tags || []).slice(),
+			dependencies: this._dependencyConfigsFor(definition.registration)
+					.map(config => this._describeDependency(config)),
+			children: definition.children.slice(),
+			state: definition.state
+		}));
+	}
+
+	_creatorKindOf(registration) {
+		if (registration.alias) return "alias";
+		if (registration.release) return "resource";
+		if (registration.factory) return "factory";
+		if (registration.Constructor) return "constructor";
+		if (registration.promise) return "promise";
+		return "value";
+	}
+
+	_describeDependency(config) {
+		if (isBeanKey(config)) return { injector: "bean", name: config };
+		if (config instanceof BeanValue) return { injector: "value" };
+		if (config instanceof BeanBound) return { injector: "bound", name: config.name };
+		if (config instanceof BeanPromise) return { injector: "promise", name: config.name };
+		if (config instanceof BeanPromiser) return { injector: "promiser", name: config.name };
+		if (config instanceof BeanSeeker) return { injector: "seeker", name: config.name };
+		if (config instanceof BeanTagged) return { injector: "tagged", tag: config.tag };
+		if (config instanceof BeanOptional) return { injector: "optional", name: config.name };
+		if (config instanceof BeanLazy) return { injector: "lazy", name: config.name };
+		if (config instanceof BeanSignal) return { injector: "signal" };
+	}
+
+	_exportGraph(format = "json") {
+		const descriptions = this._describe();
+
+		if (format === "json") {
+			const replacer = (key, value) => isBeanKey(value) ? keyName(value) : value;
+			return JSON.stringify(descriptions, replacer, "\t");
+		}
+		if (format === "dot") return this._exportDot(descriptions);
+		if (format === "mermaid") return this._exportMermaid(descriptions);
+
+		throw new BeanError(`unknown graph format '${format}'; use "json", "dot", or "mermaid"`);
+	}
+
+	_profile() {
+		const timings = Array.from(this._timings.entries());
+		const origin = Math.min(...timings.map(([, timing]) => timing.start));
+
+		const beans = timings.map(([name, timing]) => ({
+			name,
+			start: timing.start - origin,
+			waiting: timing.dependenciesReady - timing.start,
+			creating: timing.end - timing.dependenciesReady,
+			end: timing.end - origin,
+			failed: timing.failed
+		}));
+
+		const profiled = new Map(beans.map(bean => [bean.name, bean]));
+		const latest = (latestBean, bean) => (!latestBean || bean.end > latestBean.end) ?
+				bean : latestBean;
+
+		/* Follow the dependencies which finished last back from the bean which finished last. */
+		const criticalPath = [];
+		let bean = beans.reduce(latest, undefined);
+		while (bean && !criticalPath.includes(bean.name)) {
+			criticalPath.unshift(bean.name);
+
+			const definition = this._definitions.get(bean.name);
+			const waitedOn = definition ? [
+				...this._synchronousDependencyNamesOf(definition.registration),
+				...definition.children
+			] : [];
+
+			bean = waitedOn.filter(name => profiled.has(name))
+			.map(name => profiled.get(name))
+			.reduce(latest, undefined);
+		}
+
+		return {
+			beans: beans.sort((a, b) => b.creating - a.creating),
+			criticalPath
+		};
+	}
+
+	_exportProfile(format = "table") {
+		const profile = this._profile();
+
+		if (format === "table") return this._exportProfileTable(profile);
+		if (format === "trace") {
+			return JSON.stringify(this._exportProfileTrace(profile), null, "\t");
+		}
+
+		throw new BeanError(`unknown profile format '${format}'; use "table" or "trace"`);
+	}
+
+	_exportProfileTable({ beans, criticalPath }) {
+		const header = ["bean", "start", "waiting", "creating", "end"];
+		const rows = beans.map(bean => [
+			(criticalPath.includes(bean.name) ? "* " : "  ") + keyName(bean.name) +
+					(bean.failed ? " (failed)" : ""),
+			...[bean.start, bean.waiting, bean.creating, bean.end].map(time => time.toFixed(1))
+		]);
+
+		const widths = header.map((title, column) => Math.max(title.length,
+				...rows.map(row => row[column].length)));
+		const format = (row) => row.map((cell, column) => (column === 0 ?
+				cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join("  ");
+
+		return [
+			format(header),
+			...rows.map(format),
+			"",
+			"times in milliseconds; * marks the critical path: " +
+					(criticalPath.map(name => `'${keyName(name)}'`).join(" -> ") || "none")
+		].join("\n");
+	}
+
+	_exportProfileTrace({ beans, criticalPath }) {
+		const microseconds = (milliseconds) => Math.round(milliseconds * 1000);
+
+		const traceEvents = beans.slice().sort((a, b) => a.start - b.start)
+		.reduce((events, bean, index) => {
+			const thread = { pid: 1, tid: index + 1 };
+
+			return events.concat([
+				{ name: "thread_name", ph: "M", ...thread, args: { name: keyName(bean.name) } },
+				{
+					name: keyName(bean.name),
+					cat: "bean",
+					ph: "X",
+					ts: microseconds(bean.start),
+					dur: microseconds(bean.end - bean.start),
+					...thread,
+					args: { critical: criticalPath.includes(bean.name), failed: bean.failed }
+				},
+				{
+					name: "waiting",
+					cat: "waiting",
+					ph: "X",
+					ts: microseconds(bean.start),
+					dur: microseconds(bean.waiting),
+					...thread
+				},
+				{
+					name: "creating",
+					cat: "creating",
+					ph: "X",
+					ts: microseconds(bean.start + bean.waiting),
+					dur: microseconds(bean.creating),
+					...thread
+				}
+			]);
+		}, []);
+
+		return { traceEvents, displayTimeUnit: "ms" };
+	}
+
+	_graphEdges(descriptions) {
+		const edges = [];
+
+		descriptions.forEach(description => {
+			description.dependencies.filter(dependency => dependency.name !== undefined)
+			.forEach(dependency => edges.push({
+				from: description.name,
+				to: dependency.name,
+				label: dependency.injector === "bean" ? null : dependency.injector
+			}));
+			description.dependencies.filter(dependency => dependency.injector === "tagged")
+			.forEach(dependency => this._namesTagged(dependency.tag).forEach(name => edges.push({
+				from: description.name,
+				to: name,
+				label: `tagged ${dependency.tag}`
+			})));
+			description.children.forEach(child => edges.push({
+				from: description.name,
+				to: child,
+				label: "child"
+			}));
+		});
+
+		return edges;
+	}
+
+	_exportDot(descriptions) {
+		/* Different tokens can have the same name, so nodes are identified separately. */
+		const ids = new Map();
+		const idFor = (name) => {
+			if (!ids.has(name)) ids.set(name, `n${ids.size}`);
+			return ids.get(name);
+		};
+		const escape = (text) => keyName(text).replace(/["\\]/g, "\\$&");
+		const quote = (text) => `"${escape(text)}"`;
+
+		const lines = [ "digraph beans {" ];
+
+		descriptions.forEach(description => {
+			const state = `${description.creator} (${description.state})`;
+			const label = `"${escape(description.name)}\\n${state}"`;
+			lines.push(`\t${idFor(description.name)} [label=${label}];`);
+		});
+
+		const edges = this._graphEdges(descriptions);
+
+		edges.forEach(({ from, to }) => [from, to].filter(name => !ids.has(name)).forEach(name => {
+			lines.push(`\t${idFor(name)} [label=${quote(name)}];`);
+		}));
+
+		edges.forEach(({ from, to, label }) => {
+			const attributes = label ? ` [label=${quote(label)}, style=dashed]` : "";
+			lines.push(`\t${idFor(from)} -> ${idFor(to)}${attributes};`);
+		});
+
+		lines.push("}");
+
+		return lines.join("\n") + "\n";
+	}
+
+	_exportMermaid(descriptions) {
+		const ids = new Map();
+		const idFor = (name) => {
+			if (!ids.has(name)) ids.set(name, `n${ids.size}`);
+			return ids.get(name);
+		};
+		const escape = (text) => keyName(text).replace(/"/g, "#quot;");
+
+		const lines = [ "graph TD" ];
+
+		descriptions.forEach(description => {
+			const label = `${keyName(description.name)}<br/>` +
+					`${description.creator} (${description.state})`;
+			lines.push(`\t${idFor(description.name)}["${escape(label)}"]`);
+		});
+
+		const edges = this._graphEdges(descriptions);
+
+		edges.forEach(({ from, to }) => [from, to].filter(name => !ids.has(name)).forEach(name => {
+			lines.push(`\t${idFor(name)}["${escape(name)}"]`);
+		}));
+
+		edges.forEach(({ from, to, label }) => {
+			const arrow = label ? `-. ${label} .->` : "-->";
+			lines.push(`\t${idFor(from)} ${arrow} ${idFor(to)}`);
+		});
+
+		return lines.join("\n") + "\n";
+	}
+
+	_validate() {
+		const problems = [
+			...this._findMissingDependencies(),
+			...this._findSynchronousCycles()
+		];
+
+		if (problems.length) {
+			const toThrow = new BeanError("invalid bean graph:\n" +
+					problems.map(problem => problem.message).join("\n"), { code: "INVALID_GRAPH" });
+			toThrow.problems = problems;
+
+			throw toThrow;
+		}
+	}
+
+	_findMissingDependencies() {
+		const problems = [];
+
+		this._registrations.forEach((registration, name) => {
+			this._dependencyConfigsFor(registration)
+			.filter(config => !(config instanceof BeanOptional))
+			.map(config => isBeanKey(config) ? config : config.name)
+			.filter(dependency => dependency !== undefined && !this._canResolve(dependency))
+			.forEach(dependency => {
+				if (registration.alias) {
+					problems.push({
+						type: "missing alias target",
+						name,
+						dependency,
+						message: `alias '${keyName(name)}' refers to '${keyName(dependency)}', ` +
+								"which is not registered"
+					});
+				} else {
+					problems.push({
+						type: "missing dependency",
+						name,
+						dependency,
+						message: `bean '${keyName(name)}' depends on '${keyName(dependency)}', ` +
+								"which is not registered"
+					});
+				}
+			});
+		});
+
+		return problems;
+	}
+
+	_canResolve(name) {
+		if (this._has(name)) return true;
+
+		const [parentName, propertyName] = this._identifyParentAndProperty(name);
+
+		return Boolean(parentName && propertyName && this._canResolve(parentName));
+	}
+
+	_findSynchronousCycles() {
+		const edges = new Map();
+
+		this._registrations.forEach((registration, name) => {
+			edges.set(name, [
+				...this._synchronousDependenciesOf(registration),
+				...registration.children.filter(child => this._registrations.has(child))
+			]);
+		});
+
+		const cycles = new Map();
+		const visited = new Set();
+		const path = [];
+
+		const visit = (name) => {
+			const index = path.indexOf(name);
+
+			if (index !== -1) {
+				const cycle = path.slice(index);
+				const cycleNames = cycle.map(keyName);
+				const start = cycleNames.indexOf(cycleNames.slice().sort()[0]);
+				const canonical = [...cycle.slice(start), ...cycle.slice(0, start)];
+				cycles.set(canonical.map(keyName).join("\0"), canonical);
+				return;
+			}
+
+			if (visited.has(name)) return;
+
+			path.push(name);
+			edges.get(name).forEach(visit);
+			path.pop();
+
+			visited.add(name);
+		};
+
+		Array.from(edges.keys()).forEach(visit);
+
+		return Array.from(cycles.values()).map(cycle => ({
+			type: "cycle",
+			names: cycle,
+			message: "dependency cycle: " +
+					[...cycle, cycle[0]].map(name => `'${keyName(name)}'`).join(" -> ")
+		}));
+	}
+
+	_synchronousDependenciesOf(registration) {
+		return this._synchronousDependencyNamesOf(registration)
+		.filter(dependency => this._registrations.has(dependency));
+	}
+
+	_synchronousDependencyNamesOf(registration) {
+		const configs = this._dependencyConfigsFor(registration);
+
+		const taggedNames = configs.filter(config => config instanceof BeanTagged)
+		.map(config => this._namesTagged(config.tag))
+		.reduce((allNames, names) => allNames.concat(names), []);
+
+		return configs.filter(config => isBeanKey(config) ||
+				config instanceof BeanBound || config instanceof BeanOptional)
+		.map(config => this._registrationNameFor(isBeanKey(config) ? config : config.name))
+		.concat(taggedNames);
+	}
+
+	_registrationNameFor(name) {
+		if (this._has(name)) return name;
+
+		const [parentName, propertyName] = this._identifyParentAndProperty(name);
+
+		if (!parentName || !propertyName) return name;
+
+		return this._registrationNameFor(parentName);
+	}
+
+	_replace(specifier, creator, dependencies) {
+		const replacement = specifier.specifier;
+		const created = this._beans.has(replacement.name) || this._pending.has(replacement.name);
+
+		if (!created && !this._registrations.has(replacement.name)) {
+			throw new BeanError(`bean '${keyName(replacement.name)}' to replace does not exist`,
+					{ code: "NO_BEAN", beanName: replacement.name });
+		}
+
+		const replaced = this._definitions.get(replacement.name).registration;
+		const tags = replacement.tags || replaced.tags;
+
+		const evicted = this._dependantsOf(replacement.name, tags || []);
+
+		const beingCreated = evicted.find(name => this._definitions.get(name).state === "pending");
+		if (beingCreated) {
+			throw new BeanError(`cannot replace bean '${keyName(replacement.name)}' while ` +
+					(beingCreated === replacement.name ? "it" : `'${keyName(beingCreated)}'`) +
+					" is being created", { code: "BEING_CREATED", beanName: beingCreated });
+		}
+
+		this._evict(evicted);
+
+		if (specifier.retainedName) {
+			const retainedRegistration = replaced;
+			retainedRegistration.name = specifier.retainedName;
+			delete retainedRegistration.tags;
+
+			this._registrations.set(specifier.retainedName, retainedRegistration);
+			this._definitions.set(specifier.retainedName,
+					{ ...this._definitions.get(replacement.name) });
+
+			this._maybeRegisterInParentBean(specifier.retainedName);
+		}
+
+		const registration = {
+			...replacement,
+			...creator,
+			tags,
+			dependencies,
+			children: []
+		};
+
+		this._registrations.set(replacement.name, registration);
+		this._definitions.set(replacement.name,
+				{ registration, state: "registered", children: [] });
+
+		this._emit("replaced", { name: replacement.name, retainedName: specifier.retainedName });
+	}
+
+	_dependantsOf(name, tags) {
+		const dependants = new Set([ name ]);
+
+		let found;
+		do {
+			found = false;
+
+			this._definitions.forEach((definition, dependant) => {
+				if (dependants.has(dependant)) return;
+
+				const dependsOnDependant =
+						definition.children.some(child => dependants.has(child)) ||
+						this._dependencyConfigsFor(definition.registration).some(config => {
+							const { name: dependency, tag } = this._describeDependency(config);
+
+							if (tag !== undefined) {
+								return tags.includes(tag) || this._namesTagged(tag)
+								.some(tagged => dependants.has(tagged));
+							}
+
+							return dependency !== undefined &&
+									dependants.has(this._registrationNameFor(dependency));
+						});
+
+				if (dependsOnDependant) {
+					dependants.add(dependant);
+					found = true;
+				}
+			});
+		} while (found);
+
+		return Array.from(dependants)
+		.filter(dependant => this._beans.has(dependant) || this._pending.has(dependant));
+	}
+
+	_evict(names) {
+		const order = this._creationOrder.slice();
+
+		const evicted = names.map(name => {
+			const createdBean = this._beans.get(name);
+
+			this._restoreRegistration(name);
+
+			return { name, createdBean };
+		});
+
+		/* Beans are disposed in reverse creation order, before any of them are created again. */
+		evicted.sort((a, b) => order.indexOf(b.name) - order.indexOf(a.name));
+
+		const evicting = Promise.resolve(this._evicting).then(async () => {
+			for (const { name, createdBean } of evicted) {
+				let error;
+
+				if (createdBean && createdBean.owned && !createdBean.error) {
+					try {
+						await this._disposeBean(createdBean);
+					} catch (e) {
+						error = e;
+					}
+				}
+
+				this._emit("evicted", error ? { name, error } : { name });
+			}
+		});
+
+		this._evicting = evicting;
+		evicting.then(() => {
+			if (this._evicting === evicting) this._evicting = null;
+		});
+	}
+
+	_restoreRegistration(name) {
+		this._beans.delete(name);
+		this._pending.delete(name);
+		this._creationOrder = this._creationOrder.filter(created => created !== name);
+
+		const definition = this._definitions.get(name);
+		definition.state = "registered";
+		definition.registration.children = definition.children.slice();
+		this._registrations.set(name, definition.registration);
+	}
+
+	_reset(name) {
+		if (!this._definitions.has(name)) {
+			throw new BeanError(`no bean registered with name '${keyName(name)}'`,
+					{ code: "NO_BEAN", beanName: name });
+		}
+
+		if (this._definitions.get(name).state !== "failed") return;
+
+		this._dependantsOf(name, [])
+		.filter(dependant => this._definitions.get(dependant).state === "failed")
+		.forEach(dependant => this._restoreRegistration(dependant));
+	}
+
+	_register(specifier, creator, dependencies) {
+		if (this._registrations.has(specifier.name) || this._beans.has(specifier.name) ||
+				this._pending.has(specifier.name)) {
+			throw new BeanError(`'${keyName(specifier.name)}' already registered`,
+					{ code: "ALREADY_REGISTERED", beanName: specifier.name });
+		}
+
+		const registration = {
+			...specifier,
+			...creator,
+			dependencies,
+			children: []
+		};
+
+		this._registrations.set(specifier.name, registration);
+		this._definitions.set(specifier.name, { registration, state: "registered", children: [] });
+
+		this._emit("registered", { name: specifier.name });
+
+		this._maybeRegisterInParentBean(specifier.name);
+	}
+
+	_maybeRegisterInParentBean(name) {
+		const [parentName, propertyName] = this._identifyParentAndProperty(name);
+
+		if (!parentName || !propertyName) return;
+
+		if (this._definitions.has(parentName) && (this._beans.has(parentName) ||
+				this._pending.has(parentName) || this._registrations.has(parentName))) {
+			this._definitions.get(parentName).children.push(name);
+		}
+
+		if (this._beans.has(parentName)) {
+			const createdBean = this._beans.get(parentName);
+			if (!createdBean.bean || createdBean.error) return;
+			this._beans.delete(parentName);
+			this._pending.set(parentName, Promise.resolve(createdBean));
+		}
+
+		if (this._pending.has(parentName)) {
+			const pendingBean = this._pending.get(parentName);
+			const promisedChildBean = this.get(name);
+			const pendingWithProperty = pendingBean.then(resolvedBean => {
+				if (resolvedBean.bean && !resolvedBean.error) {
+					return promisedChildBean.then(async childBean => {
+						await this._setChild(resolvedBean, parentName, propertyName, childBean);
+						return resolvedBean;
+					}, error => {
+						resolvedBean.error = error;
+						return resolvedBean;
+					});
+				}
+				return resolvedBean;
+			});
+			this._pending.set(parentName, pendingWithProperty);
+			return;
+		}
+
+		if (this._registrations.has(parentName)) {
+			const registration = this._registrations.get(parentName);
+			registration.children.push(name);
+		}
+	}
+
+	async _setChild(resolvedParent, parentName, childName, childBean) {
+		const setter = resolvedParent.setter ? resolvedParent.setter : defaultSetter;
+		setter.call(resolvedParent.bean, childName, childBean);
+
+		this._emit("childSet", { name: parentName, property: childName, bean: childBean });
+	}
+
+	async _resolveBeanNamed(name, dependants, signal) {
+		if (dependants.has(name)) {
+			throw new BeanError(`dependency '${keyName(name)}' creates a cycle`,
+					{ code: "CYCLE", beanName: name });
+		}
+
+		if (this._beans.has(name)) {
+			return this._beans.get(name);
+		}
+
+		if (this._pending.has(name)) {
+			return await this._waitForCreation(name, this._creations.get(name),
+					this._pending.get(name), signal);
+		}
+
+		if (this._registrations.has(name) && this._registrations.get(name).transient) {
+			return await this._createBeanForRegistration(this._registrations.get(name), dependants,
+					signal);
+		}
+
+		if (this._registrations.has(name) && this._registrations.get(name).requestScoped) {
+			return await this._resolveRequestScopedBean(this._registrations.get(name), dependants,
+					signal);
+		}
+
+		if (this._registrations.has(name)) {
+			const { promise, resolve, reject } = this._createPromise();
+			this._pending.set(name, promise);
+
+			const registration = this._registrations.get(name);
+			this._registrations.delete(name);
+
+			/* Creation can only be cancelled if everything waiting for it can abort. */
+			const creation = {
+				controller: signal ? new AbortController() : null,
+				waiters: 0,
+				permanent: !signal
+			};
+			this._creations.set(name, creation);
+
+			const definition = this._definitions.get(name);
+			definition.state = "pending";
+			promise.then(bean => {
+				if (!creation.cancelled) definition.state = bean.error ? "failed" : "created";
+			}, () => {
+				if (!creation.cancelled) definition.state = "failed";
+			});
+
+			this._createBeanForRegistration(registration, dependants,
+					signal && creation.controller.signal).then(resolve, reject);
+
+			/* Later getters wait on the settled promise too, so they all resolve in order. */
+			const settled = this._settleCreation(name, creation, promise);
+			this._pending.set(name, settled);
+
+			if (!signal) return await settled;
+
+			settled.catch(() => {});
+
+			return await this._waitForCreation(name, creation, settled, signal);
+		}
+
+		if (this._parent && this._parent._has(name)) {
+			return await this._parent._resolveBeanNamed(name, new Set(), signal);
+		}
+
+		const propertyOfParentBean =
+				await this._maybeResolvePropertyOfParentBean(name, dependants, signal);
+
+		if (propertyOfParentBean instanceof Error) {
+			const e = propertyOfParentBean;
+
+			const messagePrefix = `no bean registered with name '${keyName(name)}' ` +
+					`and while resolving parent:\n`;
+			const message = `${messagePrefix}${e.name}: ${e.message}`;
+
+			const toThrow = new BeanError(message, { code: "NO_BEAN", beanName: name, cause: e });
+			toThrow.stack = `${toThrow.name}: ${messagePrefix}${e.stack}`;
+
+			throw toThrow;
+		}
+
+		if (propertyOfParentBean) return propertyOfParentBean;
+
+		throw new BeanError(`no bean registered with name '${keyName(name)}'`,
+				{ code: "NO_BEAN", beanName: name });
+	}
+
+	async _settleCreation(name, creation, promise) {
+		let bean, failure;
+		try {
+			bean = await promise;
+		} catch (error) {
+			failure = { error };
+		}
+
+		creation.settled = true;
+		if (this._creations.get(name) === creation) this._creations.delete(name);
+
+		if (creation.cancelled) {
+			if (bean && bean.owned && !bean.error) this._disposeBean(bean).catch(() => {});
+			throw new BeanError(`creation of bean '${keyName(name)}' was aborted`,
+					{ code: "ABORTED", beanName: name });
+		}
+
+		if (failure) {
+			if (this._options.resetFailed) this._restoreRegistration(name);
+			throw failure.error;
+		}
+
+		this._beans.set(name, bean);
+		this._creationOrder.push(name);
+
+		this._pending.delete(name);
+
+		if (bean.error && this._options.resetFailed) this._restoreRegistration(name);
+
+		return bean;
+	}
+
+	_waitForCreation(name, creation, promisedBean, signal) {
+		if (!signal) {
+			if (creation) creation.permanent = true;
+			return promisedBean;
+		}
+
+		if (signal.aborted) {
+			return Promise.reject(new BeanError(`getting bean '${keyName(name)}' was aborted`,
+					{ code: "ABORTED", beanName: name }));
+		}
+
+		const cancellable = Boolean(creation) && !creation.settled;
+		if (cancellable) creation.waiters++;
+
+		return new Promise((resolve, reject) => {
+			const onAbort = () => {
+				reject(new BeanError(`getting bean '${keyName(name)}' was aborted`,
+						{ code: "ABORTED", beanName: name }));
+
+				if (!cancellable) return;
+
+				creation.waiters--;
+
+				if (!creation.waiters && !creation.permanent && !creation.settled) {
+					this._cancelCreation(name, creation, signal.reason);
+				}
+			};
+
+			signal.addEventListener("abort", onAbort, { once: true });
+
+			promisedBean.then(bean => {
+				signal.removeEventListener("abort", onAbort);
+				resolve(bean);
+			}, error => {
+				signal.removeEventListener("abort", onAbort);
+				reject(error);
+			});
+		});
+	}
+
+	_cancelCreation(name, creation, reason) {
+		creation.cancelled = true;
+		if (creation.controller) creation.controller.abort(reason);
+
+		this._creations.delete(name);
+		this._restoreRegistration(name);
+	}
+
+	async _resolveRequestScopedBean(registration, dependants, signal) {
+		const requestScope = requestScopeStorage().getStore();
+
+		if (!requestScope) {
+			throw new BeanError(`request-scoped bean '${keyName(registration.name)}' ` +
+					"can only be created within runInScope()",
+					{ code: "NO_REQUEST_SCOPE", beanName: registration.name });
+		}
+
+		if (requestScope.closed) {
+			throw new BeanError(`request-scoped bean '${keyName(registration.name)}' ` +
+					"cannot be used after its runInScope() has finished",
+					{ code: "NO_REQUEST_SCOPE", beanName: registration.name });
+		}
+
+		if (!requestScope.containers.has(this)) {
+			requestScope.containers.set(this, { beans: new Map(), pending: new Map() });
+		}
+
+		const { beans, pending } = requestScope.containers.get(this);
+		const name = registration.name;
+
+		if (beans.has(name)) {
+			return beans.get(name);
+		}
+
+		if (pending.has(name)) {
+			return await pending.get(name);
+		}
+
+		const promise = this._createBeanForRegistration(registration, dependants, signal);
+		pending.set(name, promise);
+
+		const bean = await promise;
+		beans.set(name, bean);
+		requestScope.creationOrder.push({ name, createdBean: bean });
+
+		pending.delete(name);
+
+		return bean;
+	}
+
+	_createPromise() {
+		let resolve, reject;
+		const promise = new Promise((res, rej) => {
+			resolve = res;
+			reject = rej;
+		});
+		return { promise, resolve, reject };
+	}
+
+	async _maybeResolvePropertyOfParentBean(name, dependants, signal) {
+		const [parentName, propertyName] = this._identifyParentAndProperty(name);
+
+		if (!parentName || !propertyName) return;
+
+		try {
+			const parent = await this._resolveBeanNamed(parentName, dependants, signal);
+
+			if (parent.error) throw parent.error;
+
+			const getter = parent.getter ? parent.getter : defaultGetter;
+
+			return {
+				parent: parent.bean,
+				bean: await getter.call(parent.bean, propertyName)
+			};
+		} catch (error) {
+			if (!(originalError(error) instanceof BeanError)) {
+				throw error;
+			}
+
+			return error;
+		}
+	}
+
+	async _createBeanForRegistration(registration, dependants, signal) {
+		const timing = { start: performance.now() };
+
+		this._emit("creating", { name: registration.name });
+
+		try {
+			const dependencyDependants = new Set(dependants).add(registration.name);
+
+			const resolvedDependencies =
+					await Promise.all(this._dependencyConfigsFor(registration)
+					.map(config => this._resolveDependency(
+							config, dependencyDependants, registration, signal)));
+
+			timing.dependenciesReady = performance.now();
+
+			const bean = (registration.retry || registration.fallback) ?
+					await this._createWithRetries(registration, dependants, resolvedDependencies) :
+					await this._withTimeout(registration, dependants,
+							this._createBeanGivenDependencies(registration, resolvedDependencies));
+
+			bean.getter = registration.getter;
+			bean.setter = registration.setter;
+			bean.release = registration.release;
+			bean.owned = Boolean(registration.Constructor || registration.factory) &&
+					!registration.alias;
+
+			if (bean.bean && !bean.error && registration.children) {
+				await Promise.all(registration.children.map(childName => {
+					return this.get(childName).then(childBean => {
+						if (bean.error) return;
+						const [, propertyName] = this._identifyParentAndProperty(childName);
+						return this._setChild(bean, registration.name, propertyName, childBean);
+					}, error => {
+						if (bean.error) return;
+						bean.error = error;
+					});
+				}));
+			}
+
+			await this._postProcess(registration, bean);
+
+			this._recordTiming(registration.name, timing, Boolean(bean.error));
+
+			const duration = timing.end - timing.start;
+
+			if (bean.error) {
+				this._emit("failed", { name: registration.name, error: bean.error, duration });
+			} else {
+				this._emit("created", { name: registration.name, bean: bean.bean, duration });
+			}
+
+			return bean;
+		} catch (e) {
+			const messagePrefix = `while creating bean '${keyName(registration.name)}':\n`;
+			const message = `${messagePrefix}${e.name}: ${e.message}`;
+
+			const toThrow = new BeanError(message, {
+				code: "CREATION_FAILED",
+				beanName: registration.name,
+				path: extendedPath(registration.name, e),
+				cause: e
+			});
+			toThrow.stack = `${toThrow.name}: ${messagePrefix}${e.stack}`;
+
+			this._recordTiming(registration.name, timing, true);
+
+			this._emit("failed", {
+				name: registration.name,
+				error: toThrow,
+				duration: timing.end - timing.start
+			});
+
+			throw toThrow;
+		}
+	}
+
+	_recordTiming(name, timing, failed) {
+		timing.end = performance.now();
+		if (timing.dependenciesReady === undefined) timing.dependenciesReady = timing.end;
+		timing.failed = failed;
+
+		this._timings.set(name, timing);
+	}
+
+	_checkNotCapturing(dependant, name) {
+		const details = {
+			code: "CAPTIVE_DEPENDENCY",
+			beanName: dependant.name,
+			path: [ dependant.name, name ]
+		};
+
+		/* Properties of a bean (or methods bound to it) capture the bean itself. */
+		const registrationName = this._registrationNameFor(name);
+
+		if (!dependant.transient && this._isTransient(registrationName)) {
+			throw new BeanError(`singleton bean '${keyName(dependant.name)}' cannot depend on ` +
+					`transient bean '${keyName(registrationName)}'; ` +
+					"use an injector such as promiser()", details);
+		}
+
+		if (!dependant.transient && !dependant.requestScoped &&
+				this._isRequestScoped(registrationName)) {
+			throw new BeanError(`singleton bean '${keyName(dependant.name)}' cannot depend on ` +
+					`request-scoped bean '${keyName(registrationName)}'; ` +
+					"use an injector such as promiser()", details);
+		}
+	}
+
+	_withTimeout(registration, dependants, promisedBean) {
+		const timeout = registration.timeout !== undefined ?
+				registration.timeout : this._options.timeout;
+
+		if (!timeout || (!registration.factory && !registration.promise)) return promisedBean;
+
+		let timer;
+
+		const timedOut = new Promise((resolve, reject) => {
+			timer = setTimeout(() => {
+				const waiting = dependants.size ? "; waiting on it: " +
+						Array.from(dependants).map(name => `'${keyName(name)}'`).join(" -> ") : "";
+
+				reject(new BeanError(`bean '${keyName(registration.name)}' was not created ` +
+						`within ${timeout}ms${waiting}`,
+						{ code: "TIMEOUT", beanName: registration.name }));
+			}, timeout);
+		});
+
+		return Promise.race([promisedBean, timedOut]).then(bean => {
+			clearTimeout(timer);
+			return bean;
+		}, error => {
+			clearTimeout(timer);
+			throw error;
+		});
+	}
+
+	_dependencyConfigsFor(registration) {
+		const dependencyConfigs = registration.dependencies.slice();
+
+		if (refersToBean(registration.Constructor)) {
+			dependencyConfigs.push(dereference(registration.Constructor));
+		}
+		if (refersToBean(registration.factory)) {
+			dependencyConfigs.push(new BeanBound(dereference(registration.factory)));
+		}
+
+		return dependencyConfigs;
+	}
+
+	_resolveDependency(config, dependants, dependant, signal) {
+		if (isBeanKey(config)) {
+			this._checkNotCapturing(dependant, config);
+
+			return this._resolveBeanNamed(config, dependants, signal);
+		}
+
+		if (config instanceof BeanOptional) {
+			if (!this._canResolve(config.name)) return { bean: config.defaultValue };
+
+			this._checkNotCapturing(dependant, config.name);
+
+			const resolution = this._resolveBeanNamed(config.name, dependants, signal);
+			if (this._has(config.name)) return resolution;
+
+			/* A missing property of a registered parent counts as not registered. */
+			return resolution.then(resolved => (resolved.bean === undefined && !resolved.error) ?
+					{ bean: config.defaultValue } : resolved);
+		}
+
+		if (config instanceof BeanBound) {
+			this._checkNotCapturing(dependant, config.name);
+
+			return this._resolveBeanNamed(config.name, dependants, signal).then(bean => {
+				if (bean.error) return bean;
+				return { bean: bean.bean.bind(bean.parent) };
+			});
+		}
+
+		if (config instanceof BeanValue) {
+			return { bean: config.value };
+		}
+
+		if (config instanceof BeanSignal) {
+			return { bean: signal || NEVER_ABORTED_SIGNAL };
+		}
+
+		if (config instanceof BeanPromise) {
+			return { bean: this._resolveBeanNamed(config.name, new Set()).then(bean => bean.bean) };
+		}
+
+		if (config instanceof BeanPromiser) {
+			return { bean: () => {
+				return this._resolveBeanNamed(config.name, new Set()).then(bean => bean.bean);
+			}};
+		}
+
+		if (config instanceof BeanTagged) {
+			const names = this._namesTagged(config.tag);
+			names.forEach(name => this._checkNotCapturing(dependant, name));
+
+			return Promise.all(names.map(name => this._resolveBeanNamed(name, dependants, signal)))
+			.then(beans => {
+				const failed = beans.find(bean => bean.error);
+				if (failed) return failed;
+
+				if (config.map) {
+					return { bean: new Map(names.map((name, index) => [name, beans[index].bean])) };
+				}
+
+				return { bean: beans.map(bean => bean.bean) };
+			});
+		}
+
+		if (config instanceof BeanLazy) {
+			return { bean: createLazyProxy(config.name, () => {
+				return this._resolveBeanNamed(config.name, new Set()).then(bean => {
+					if (bean.error) throw bean.error;
+					return bean.bean;
+				});
+			}, () => this._seek(config.name))};
+		}
+
+		if (config instanceof BeanSeeker) {
+			return { bean: () => {
+				const bean = this._seek(config.name);
+				return bean ? bean.bean : undefined;
+			}};
+		}
+	}
+
+	async _createWithRetries(registration, dependants, resolvedDependencies) {
+		const failedDependency = resolvedDependencies.find(dependency => dependency.error);
+		if (failedDependency) throw failedDependency.error;
+
+		const { attempts = 1, backoff = 0, retryIf = () => true } = registration.retry || {};
+		const failures = [];
+
+		for (let attempt = 1; attempt <= attempts; attempt++) {
+			try {
+				const promisedBean = this._createBeanGivenDependencies(
+						registration, resolvedDependencies.slice());
+
+				return await this._withTimeout(registration, dependants, promisedBean);
+			} catch (error) {
+				failures.push({ description: `attempt ${attempt}`, error });
+
+				if (attempt === attempts || !retryIf(error)) break;
+
+				const delay = (typeof backoff === 'function') ?
+						backoff(attempt, error) : backoff * Math.pow(2, attempt - 1);
+
+				this._emit("retrying", { name: registration.name, attempt, error, delay });
+
+				if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+			}
+		}
+
+		if (registration.fallback) {
+			const namedFn = refersToBean(registration.Constructor || registration.factory);
+			const dependencies = namedFn ?
+					resolvedDependencies.slice(0, -1) : resolvedDependencies.slice();
+
+			try {
+				return await this._createBeanGivenDependencies(registration.fallback, dependencies);
+			} catch (error) {
+				failures.push({ description: "fallback", error });
+			}
+		}
+
+		const cause = failures[failures.length - 1].error;
+		const toThrow = new BeanError(
+				`bean '${keyName(registration.name)}' could not be created:\n` +
+				failures.map(({ description, error }) =>
+						`${description}: ${error.name}: ${error.message}`).join("\n"),
+				{ code: "CREATION_FAILED", beanName: registration.name, cause });
+		toThrow.errors = failures.map(({ error }) => error);
+
+		throw toThrow;
+	}
+
+	async _createBeanGivenDependencies(registration, resolvedDependencies) {
+		if (registration.promise) {
+			return await registration.promise;
+		}
+
+		let fn = registration.Constructor || registration.factory;
+
+		if (!fn) {
+			return { bean: registration.value };
+		}
+
+		if (refersToBean(fn)) {
+			const resolvedFn = resolvedDependencies.pop();
+			if (resolvedFn.error) throw resolvedFn.error;
+			fn = resolvedFn.bean;
+		}
+
+		const dependencies = resolvedDependencies.map(dependency => {
+			if (dependency.error) throw dependency.error;
+			return dependency.bean;
+		});
+
+		if (registration.Constructor) {
+			return { bean: new fn(...dependencies) };
+		}
+		if (registration.factory) {
+			return { bean: await fn(...dependencies) };
+		}
+	}
+
+	_identifyParentAndProperty(name) {
+		if (typeof name !== 'string') return [null, null];
+
+		if (name.slice(-1) === "]") {
+			return this._identifyParentAndBracketProperty(name);
+		}
+
+		return this._identifyParentAndDotProperty(name);
+	}
+
+	_identifyParentAndBracketProperty(name) {
+		const openingBracket = name.lastIndexOf("[");
+
+		if (openingBracket === -1) return [null, null];
+
+		const parentName = name.slice(0, openingBracket);
+		const propertyName = name.slice(openingBracket + 1, -1);
+
+		return [parentName, propertyName];
+	}
+
+	_identifyParentAndDotProperty(name) {
+		const lastDot = name.lastIndexOf(".");
+
+		if (lastDot === -1) return [null, null];
+
+		const parentName = name.slice(0, lastDot);
+		const propertyName = name.slice(lastDot + 1);
+
+		return [parentName, propertyName];
+	}
+
+};
+
+function defaultGetter(name) {
+	if (this instanceof Map || this instanceof exports.Container) {
+		return this.get(name);
+	}
+
+	return this[name];
+}
+
+function defaultSetter(name, value) {
+	if (this instanceof Map) {
+		return this.set(name, value);
+	}
+
+	if (this instanceof exports.Container) {
+		return this.register(name, this.value(value));
+	}
+
+	this[name] = value;
+}
+
+/*
  * BeanConfig base class and object.
  */
 
@@ -426,48 +1854,132 @@ BeanConfig.prototype.specifier = false;
 BeanConfig.prototype.creator = false;
 BeanConfig.prototype.injector = false;
 
-/*
- * Specifiers
- */
+/*
+ * Specifiers
+ */
+
+class BeanCollection extends BeanConfig {
+	constructor(name, getter, setter) {
+		super();
+		this.name = dereference(name);
+		this.getter = getter;
+		this.setter = setter;
+	}
+}
+BeanCollection.prototype.specifier = true;
+everything.collection = (name, getter, setter) => new BeanCollection(name, getter, setter);
+
+class BeanEager extends BeanConfig {
+	constructor(specifier) {
+		super();
+
+		specifier = dereference(specifier);
+
+		if (isBeanKey(specifier)) {
+			specifier = new BeanCollection(specifier);
+		}
+
+		if (!(specifier instanceof BeanConfig) || !specifier.specifier ||
+				specifier instanceof BeanReplacement || specifier.transient ||
+				specifier.requestScoped) {
+			throw new BeanError("argument to eager() must be a bean specifier; " +
+					"use a string, bean(), or collection()");
+		}
+
+		Object.assign(this, specifier);
+		this.eager = true;
+	}
+}
+BeanEager.prototype.specifier = true;
+everything.eager = (specifier) => new BeanEager(specifier);
+
+class BeanTag extends BeanConfig {
+	constructor(specifier, tags) {
+		super();
+
+		specifier = dereference(specifier);
+
+		if (isBeanKey(specifier)) {
+			specifier = new BeanCollection(specifier);
+		}
+
+		if (!(specifier instanceof BeanConfig) || !specifier.specifier ||
+				specifier instanceof BeanReplacement) {
+			throw new BeanError("first argument to tag() must be a bean specifier; " +
+					"use a string, bean(), collection(), transient(), requestScoped(), or eager()");
+		}
+
+		if (!tags.length || tags.some(tag => typeof tag !== 'string')) {
+			throw new BeanError("tags must be strings");
+		}
 
-class BeanCollection extends BeanConfig {
-	constructor(name, getter, setter) {
-		super();
-		this.name = name;
-		this.getter = getter;
-		this.setter = setter;
+		Object.assign(this, specifier);
+		this.tags = [...(specifier.tags || []), ...tags];
 	}
 }
-BeanCollection.prototype.specifier = true;
-everything.collection = (name, getter, setter) => new BeanCollection(name, getter, setter);
+BeanTag.prototype.specifier = true;
+everything.tag = (specifier, ...tags) => new BeanTag(specifier, tags);
 
 class BeanReplacement extends BeanConfig {
 	constructor(specifier, retainedName) {
 		super();
 
-		if (typeof specifier === 'string') {
+		specifier = dereference(specifier);
+
+		if (isBeanKey(specifier)) {
 			specifier = new BeanCollection(specifier);
 		}
 
 		if (!(specifier instanceof BeanConfig) || !specifier.specifier ||
 				specifier instanceof BeanReplacement) {
 			throw new BeanError("first argument to replacement() must be a bean specifier; " +
-					"use a string, bean(), or collection()");
+					"use a string, bean(), collection(), transient(), requestScoped(), eager(), " +
+					"or tag()");
 		}
 
 		this.specifier = specifier;
 		this.name = specifier.name;
-		this.retainedName = retainedName;
+		this.retainedName = dereference(retainedName);
 	}
 }
 BeanReplacement.prototype.specifier = true;
 everything.replacement = (specifier, retainedName) => new BeanReplacement(specifier, retainedName);
 
+class BeanTransient extends BeanConfig {
+	constructor(name) {
+		super();
+		this.name = dereference(name);
+		this.transient = true;
+	}
+}
+BeanTransient.prototype.specifier = true;
+everything.transient = (name) => new BeanTransient(name);
+
+class BeanRequestScoped extends BeanConfig {
+	constructor(name) {
+		super();
+		this.name = dereference(name);
+		this.requestScoped = true;
+	}
+}
+BeanRequestScoped.prototype.specifier = true;
+everything.requestScoped = (name) => new BeanRequestScoped(name);
+
 /*
- * bean() is a specifier, creator and injector that does nothing.
+ * bean() is a specifier, creator and injector that does nothing, except for functions, which it
+ * wraps so that a class token can be aliased (as a creator, a function is used as it is).
  */
 
-everything.bean = (name) => name;
+class BeanReference extends BeanConfig {
+	constructor(name) {
+		super();
+		this.name = name;
+	}
+}
+BeanReference.prototype.specifier = true;
+BeanReference.prototype.creator = true;
+BeanReference.prototype.injector = true;
+everything.bean = (name) => (typeof name === 'function') ? new BeanReference(name) : name;
 
 /*
  * value() and promise() are both creators and injectors.
@@ -484,50 +1996,78 @@ BeanValue.prototype.injector = true;
 everything.value = (value) => new BeanValue(value);
 
 class BeanPromise extends BeanConfig {
-	constructor(nameOrPromise) {
+	constructor(nameOrPromise, options = {}) {
 		super();
 		if (nameOrPromise.then && typeof nameOrPromise.then === 'function') {
+			validateTimeout(options.timeout);
+
 			this.promise = nameOrPromise;
+			this.timeout = options.timeout;
 			this.creator = true;
 		} else {
-			this.name = nameOrPromise;
+			this.name = dereference(nameOrPromise);
 			this.injector = true;
 		}
 	}
 }
-everything.promise = (nameOrPromise) => new BeanPromise(nameOrPromise);
+everything.promise = (nameOrPromise, options) => new BeanPromise(nameOrPromise, options);
 
 /*
  * Other creators.
  */
 
 class BeanConstructor extends BeanConfig {
-	constructor(Constructor) {
+	constructor(Constructor, options = {}) {
 		super();
 
-		if (typeof Constructor !== 'string' && typeof Constructor !== 'function') {
+		if (!refersToBean(Constructor) && typeof Constructor !== 'function') {
 			throw new BeanError("invalid constructor");
 		}
 
+		validateRetry(options.retry);
+		validateFallback(options.fallback);
+
 		this.Constructor = Constructor;
+		this.retry = options.retry;
+		this.fallback = options.fallback;
 	}
 }
 BeanConstructor.prototype.creator = true;
-everything.constructor = (Constructor) => new BeanConstructor(Constructor);
+everything.constructor = (Constructor, options) => new BeanConstructor(Constructor, options);
 
 class BeanFactory extends BeanConfig {
-	constructor(factory) {
+	constructor(factory, options = {}) {
 		super();
 
-		if (typeof factory !== 'string' && typeof factory !== 'function') {
+		if (!refersToBean(factory) && typeof factory !== 'function') {
 			throw new BeanError("invalid factory");
 		}
 
+		validateTimeout(options.timeout);
+		validateRetry(options.retry);
+		validateFallback(options.fallback);
+
 		this.factory = factory;
+		this.timeout = options.timeout;
+		this.retry = options.retry;
+		this.fallback = options.fallback;
 	}
 }
 BeanFactory.prototype.creator = true;
-everything.factory = (factory) => new BeanFactory(factory);
+everything.factory = (factory, options) => new BeanFactory(factory, options);
+
+class BeanResource extends BeanFactory {
+	constructor(acquire, release, options) {
+		super(acquire, options);
+
+		if (typeof release !== 'function') {
+			throw new BeanError("invalid release function");
+		}
+
+		this.release = release;
+	}
+}
+everything.resource = (acquire, release, options) => new BeanResource(acquire, release, options);
 
 /*
  * Other injectors.
@@ -536,7 +2076,7 @@ everything.factory = (factory) => new BeanFactory(factory);
 class BeanBound extends BeanConfig {
 	constructor(name) {
 		super();
-		this.name = name;
+		this.name = dereference(name);
 	}
 }
 BeanBound.prototype.injector = true;
@@ -545,7 +2085,7 @@ everything.bound = (name) => new BeanBound(name);
 class BeanPromiser extends BeanConfig {
 	constructor(name) {
 		super();
-		this.name = name;
+		this.name = dereference(name);
 	}
 }
 BeanPromiser.prototype.injector = true;
@@ -554,18 +2094,567 @@ everything.promiser = (name) => new BeanPromiser(name);
 class BeanSeeker extends BeanConfig {
 	constructor(name) {
 		super();
-		this.name = name;
+		this.name = dereference(name);
 	}
 }
 BeanSeeker.prototype.injector = true;
 everything.seeker = (name) => new BeanSeeker(name);
 
+class BeanLazy extends BeanConfig {
+	constructor(name) {
+		super();
+		this.name = dereference(name);
+	}
+}
+BeanLazy.prototype.injector = true;
+everything.lazy = (name) => new BeanLazy(name);
+
+class BeanSignal extends BeanConfig {
+}
+BeanSignal.prototype.injector = true;
+everything.signal = () => new BeanSignal();
+
+/* Injected by signal() when nothing can abort, without needing AbortController. */
+const NEVER_ABORTED_SIGNAL = Object.freeze({
+	aborted: false,
+	reason: undefined,
+	onabort: null,
+	addEventListener() {},
+	removeEventListener() {},
+	throwIfAborted() {}
+});
+
+class BeanOptional extends BeanConfig {
+	constructor(name, defaultValue) {
+		super();
+		this.name = dereference(name);
+		this.defaultValue = defaultValue;
+	}
+}
+BeanOptional.prototype.injector = true;
+everything.optional = (name, defaultValue) => new BeanOptional(name, defaultValue);
+
+class BeanTagged extends BeanConfig {
+	constructor(tag, options = {}) {
+		super();
+		this.tag = tag;
+		this.map = Boolean(options.map);
+	}
+}
+BeanTagged.prototype.injector = true;
+everything.tagged = (tag, options) => new BeanTagged(tag, options);
+
+function createLazyProxy(name, create, seek) {
+	let promisedBean = null;
+	let created = false;
+	let bean;
+
+	const checkCreated = () => {
+		if (created) return true;
+
+		const createdBean = seek();
+
+		if (createdBean && !createdBean.error) {
+			bean = createdBean.bean;
+			created = true;
+		}
+
+		return created;
+	};
+
+	const startCreating = () => {
+		if (!promisedBean) {
+			promisedBean = create().then(createdBean => {
+				bean = createdBean;
+				created = true;
+				return createdBean;
+			});
+
+			/* Failures are reported to callers of methods; don't also report them as unhandled. */
+			promisedBean.catch(() => {});
+		}
+
+		return promisedBean;
+	};
+
+	return new Proxy({}, {
+		get(target, property) {
+			if (checkCreated()) {
+				const value = bean[property];
+				return (typeof value === 'function') ? value.bind(bean) : value;
+			}
+
+			/* Don't look like a promise, or start creating the bean just to be inspected. */
+			if (property === 'then' || typeof property === 'symbol') return undefined;
+
+			const promisedBean = startCreating();
+
+			/* Reads can't be told apart from calls, so other properties resolve to their values. */
+			return (...args) => promisedBean.then(bean => (typeof bean[property] === 'function') ?
+					bean[property](...args) : bean[property]);
+		},
+		set(target, property, value) {
+			if (!checkCreated()) {
+				throw new BeanError(`cannot set property '${String(property)}' of lazy bean ` +
+						`'${keyName(name)}' before it is created`,
+						{ code: "NOT_CREATED", beanName: name });
+			}
+
+			bean[property] = value;
+			return true;
+		},
+		has(target, property) {
+			return checkCreated() ? property in Object(bean) : false;
+		}
+	});
+}
+
+/*
+ * Beans are keyed by names, which are strings, or by tokens, which are symbols or classes (or any
+ * other functions). Only names can refer to properties of other beans, and as creators, functions
+ * are used as they are (or rejected), so only names, symbols and bean() refer to beans there.
+ */
+
+function isBeanKey(key) {
+	return typeof key === 'string' || typeof key === 'symbol' || typeof key === 'function';
+}
+
+function refersToBean(key) {
+	return typeof key === 'string' || typeof key === 'symbol' || key instanceof BeanReference;
+}
+
+function dereference(key) {
+	return (key instanceof BeanReference) ? key.name : key;
+}
+
+function isClass(fn) {
+	return /^class\b/.test(Function.prototype.toString.call(fn));
+}
+
+function keyName(key) {
+	if (typeof key === 'symbol') return key.toString();
+
+	if (typeof key === 'function') {
+		return isClass(key) ? `[class ${key.name || "(anonymous)"}]` :
+				`[Function: ${key.name || "(anonymous)"}]`;
+	}
+
+	return key;
+}
+
+function nameMatcher(pattern) {
+	/* Classes can't be predicates, so they are tokens, as are functions wrapped using bean(). */
+	if (pattern instanceof BeanReference || (typeof pattern === 'function' && isClass(pattern))) {
+		const token = dereference(pattern);
+		return (name) => name === token;
+	}
+
+	if (typeof pattern === 'function') {
+		return (name) => Boolean(pattern(name));
+	}
+
+	if (pattern instanceof RegExp) {
+		return (name) => typeof name === 'string' && pattern.test(name);
+	}
+
+	if (typeof pattern === 'symbol') {
+		return (name) => name === pattern;
+	}
+
+	if (typeof pattern === 'string') {
+		const regExp = new RegExp("^" + pattern
+				.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+				.replace(/\*/g, ".*")
+				.replace(/\?/g, ".") + "$");
+
+		return (name) => typeof name === 'string' && regExp.test(name);
+	}
+
+	throw new BeanError("name pattern must be a string, symbol, regular expression, " +
+			"or predicate function");
+}
+
+function isPlainObject(object) {
+	return Boolean(object) && typeof object === 'object' &&
+			(Object.getPrototypeOf(object) === Object.prototype || !Object.getPrototypeOf(object));
+}
+
+function mergeConfig(base, layer) {
+	const merged = { ...base };
+
+	Object.entries(layer).forEach(([key, layerValue]) => {
+		merged[key] = (isPlainObject(merged[key]) && isPlainObject(layerValue)) ?
+				mergeConfig(merged[key], layerValue) : copyConfig(layerValue);
+	});
+
+	return merged;
+}
+
+/* Config is copied from its sources, so that coercing it doesn't change them. */
+function copyConfig(configValue) {
+	if (Array.isArray(configValue)) return configValue.map(copyConfig);
+	if (isPlainObject(configValue)) return mergeConfig({}, configValue);
+	return configValue;
+}
+
+function getConfigValue(config, path) {
+	return path.split(".").reduce((object, key) => {
+		return (object !== null && typeof object === 'object') ? object[key] : undefined;
+	}, config);
+}
+
+function setConfigValue(config, path, configValue) {
+	const keys = path.split(".");
+	const parent = getConfigValue(config, keys.slice(0, -1).join(".")) || config;
+	parent[keys[keys.length - 1]] = configValue;
+}
+
+function coerceConfigValue(path, configValue, type) {
+	const invalid = () => new BeanError(`configuration '${path}' must be a ${type}, ` +
+			`but is ${JSON.stringify(configValue)}`, { code: "INVALID_CONFIGURATION" });
+
+	if (type === 'string') {
+		return String(configValue);
+	}
+
+	if (type === 'number') {
+		const number = (typeof configValue === 'string' && configValue.trim() !== "") ?
+				Number(configValue) : configValue;
+		if (typeof number !== 'number' || Number.isNaN(number)) throw invalid();
+		return number;
+	}
+
+	if (type === 'boolean') {
+		if (typeof configValue === 'boolean') return configValue;
+		const text = String(configValue).toLowerCase();
+		if (["true", "yes", "1"].includes(text)) return true;
+		if (["false", "no", "0"].includes(text)) return false;
+		throw invalid();
+	}
+
+	if (type === 'json') {
+		if (typeof configValue !== 'string') return configValue;
+		try {
+			return JSON.parse(configValue);
+		} catch (e) {
+			throw invalid();
+		}
+	}
+
+	throw new BeanError(`unknown configuration type '${type}' for '${path}'; ` +
+			`use "string", "number", "boolean", or "json"`);
+}
+
+let asyncLocalStorage;
+
+function requestScopeStorage() {
+	if (!asyncLocalStorage) {
+		const { AsyncLocalStorage } = require("async_hooks");
+		asyncLocalStorage = new AsyncLocalStorage();
+	}
+
+	return asyncLocalStorage;
+}
+
+function validateTimeout(timeout) {
+	if (timeout !== undefined && !(typeof timeout === 'number' && timeout >= 0)) {
+		throw new BeanError("timeout must be a number of milliseconds");
+	}
+}
+
+function validateRetry(retry) {
+	if (retry === undefined) return;
+
+	const { attempts = 1, backoff = 0, retryIf } = retry;
+
+	if (!Number.isInteger(attempts) || attempts < 1) {
+		throw new BeanError("retry attempts must be a positive integer");
+	}
+	if (typeof backoff !== 'function' && !(typeof backoff === 'number' && backoff >= 0)) {
+		throw new BeanError("retry backoff must be a number of milliseconds or a function");
+	}
+	if (retryIf !== undefined && typeof retryIf !== 'function') {
+		throw new BeanError("retryIf must be a function");
+	}
+}
+
+function validateFallback(fallback) {
+	if (fallback === undefined) return;
+
+	const isCreator = fallback instanceof BeanValue || fallback instanceof BeanConstructor ||
+			(fallback instanceof BeanFactory && !(fallback instanceof BeanResource));
+
+	if (!isCreator || typeof (fallback.Constructor || fallback.factory) === 'string') {
+		throw new BeanError("fallback must be value(), or constructor() or factory() " +
+				"with a function");
+	}
+}
+
+/*
+ * Manifests.
+ */
+
+const MANIFEST_CREATORS = ["constructor", "factory", "value", "alias"];
+const MANIFEST_INJECTORS = [
+	"bean", "bound", "value", "promise", "promiser", "lazy", "seeker", "optional", "tagged",
+	"signal"
+];
+
+function prefixedError(messagePrefix, e, code) {
+	const details = (e instanceof BeanError) ?
+			{ code: e.code, beanName: e.beanName, path: e.path, cause: e } : { code, cause: e };
+
+	const toThrow = new BeanError(`${messagePrefix}${e.name}: ${e.message}`, details);
+	toThrow.stack = `${toThrow.name}: ${messagePrefix}${e.stack}`;
+	return toThrow;
+}
+
+function loadManifestFile(file) {
+	if (!file.endsWith(".json")) {
+		try {
+			return require(file);
+		} catch (e) {
+			throw new BeanError(`cannot load manifest '${file}': ${e.message}`,
+					{ code: "INVALID_MANIFEST", cause: e });
+		}
+	}
+
+	let text;
+	try {
+		text = require("fs").readFileSync(file, "utf8");
+	} catch (e) {
+		throw new BeanError(`cannot read manifest '${file}': ${e.message}`,
+				{ code: "INVALID_MANIFEST", cause: e });
+	}
+
+	try {
+		return JSON.parse(text);
+	} catch (e) {
+		throw new BeanError(`invalid JSON in manifest '${file}': ${e.message}`,
+				{ code: "INVALID_MANIFEST", cause: e });
+	}
+}
+
+function hasOwn(object, key) {
+	return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function manifestRegistration(name, entry, basedir) {
+	if (!isPlainObject(entry)) {
+		throw new BeanError("entry must be an object", { code: "INVALID_MANIFEST" });
+	}
+
+	const creatorKeys = MANIFEST_CREATORS.filter(key => hasOwn(entry, key));
+
+	if (creatorKeys.length !== 1) {
+		throw new BeanError("entry must have exactly one of " +
+				MANIFEST_CREATORS.map(key => `'${key}'`).join(", "), { code: "INVALID_MANIFEST" });
+	}
+
+	const [ creatorKey ] = creatorKeys;
+
+	let specifier = entry.transient ? everything.transient(name) :
+			entry.requestScoped ? everything.requestScoped(name) : name;
+	if (entry.eager) specifier = everything.eager(specifier);
+	if (entry.tags) specifier = everything.tag(specifier, ...[].concat(entry.tags));
+	if (entry.replace) {
+		specifier = everything.replacement(specifier,
+				typeof entry.replace === 'string' ? entry.replace : undefined);
+	}
+
+	const dependencies = (entry.dependencies || []).map(manifestDependency);
+
+	if (creatorKey === 'value') {
+		return [specifier, everything.value(entry.value), ...dependencies];
+	}
+
+	if (creatorKey === 'alias') {
+		return [specifier, entry.alias, ...dependencies];
+	}
+
+	const fn = manifestFunction(entry[creatorKey], basedir);
+	const options = hasOwn(entry, "timeout") ? { timeout: entry.timeout } : undefined;
+
+	const creator = (creatorKey === 'constructor') ?
+			everything.constructor(fn) : everything.factory(fn, options);
+
+	return [specifier, creator, ...dependencies];
+}
+
+function manifestFunction(spec, basedir) {
+	if (typeof spec === 'string' || typeof spec === 'function') {
+		return spec;
+	}
+
+	if (!isPlainObject(spec) || typeof spec.module !== 'string') {
+		throw new BeanError("constructor or factory must be a bean name, " +
+				"or an object with a 'module' and optional 'export'", { code: "INVALID_MANIFEST" });
+	}
+
+	/* Both relative paths and package names are looked up from basedir, not from here. */
+	const moduleExports = require(require.resolve(spec.module, { paths: [basedir] }));
+	const exportName = spec.export || "default";
+	const fn = (exportName === "default" && !hasOwn(moduleExports, "default")) ?
+			moduleExports : moduleExports[exportName];
+
+	if (typeof fn !== 'function') {
+		throw new BeanError(`export '${exportName}' of module '${spec.module}' is not a function`,
+				{ code: "INVALID_MANIFEST" });
+	}
+
+	return fn;
+}
+
+function manifestDependency(dependency) {
+	if (typeof dependency === 'string') {
+		return dependency;
+	}
+
+	const injectorKeys = isPlainObject(dependency) ?
+			MANIFEST_INJECTORS.filter(key => hasOwn(dependency, key)) : [];
+
+	if (injectorKeys.length !== 1) {
+		throw new BeanError("dependency must be a bean name, or an object with exactly one of " +
+				MANIFEST_INJECTORS.map(key => `'${key}'`).join(", "), { code: "INVALID_MANIFEST" });
+	}
+
+	const [ injector ] = injectorKeys;
+	const argument = dependency[injector];
+
+	if (injector === 'optional') return everything.optional(argument, dependency.default);
+	if (injector === 'tagged') return everything.tagged(argument, { map: dependency.map });
+
+	return everything[injector](argument);
+}
+
+function scanFiles(dir, extensions, recursive) {
+	const fs = require("fs");
+	const path = require("path");
+
+	let entries;
+	try {
+		entries = fs.readdirSync(dir, { withFileTypes: true });
+	} catch (e) {
+		throw new BeanError(`cannot scan directory '${dir}': ${e.message}`, { cause: e });
+	}
+
+	return entries
+	.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+	.map(entry => {
+		const file = path.join(dir, entry.name);
+
+		if (entry.isDirectory()) {
+			return (recursive && entry.name !== "node_modules") ?
+					scanFiles(file, extensions, recursive) : [];
+		}
+
+		return extensions.includes(path.extname(entry.name)) ? [ file ] : [];
+	})
+	.reduce((allFiles, files) => allFiles.concat(files), []);
+}
+
+function scannedEntries(moduleExports) {
+	/* A register() function is a different convention, which isn't metadata. */
+	if (moduleExports && typeof moduleExports === 'object' && hasOwn(moduleExports, "register") &&
+			(isPlainObject(moduleExports.register) || Array.isArray(moduleExports.register))) {
+		return [].concat(moduleExports.register);
+	}
+
+	const candidates = (typeof moduleExports === 'function') ?
+			[ moduleExports ] : Object.values(moduleExports || {});
+
+	return candidates
+	.filter(candidate => typeof candidate === 'function' && hasOwn(candidate, "register") &&
+			isPlainObject(candidate.register))
+	.map(fn => (MANIFEST_CREATORS.some(key => hasOwn(fn.register, key)) ?
+			fn.register : { constructor: fn, ...fn.register }));
+}
+
+/*
+ * Configuration sources.
+ */
+
+class ConfigSource {
+}
+
+class ConfigFile extends ConfigSource {
+	constructor(path) {
+		super();
+		this.path = path;
+	}
+	load() {
+		const fs = require("fs");
+
+		let text;
+		try {
+			text = fs.readFileSync(this.path, "utf8");
+		} catch (e) {
+			throw new BeanError(`cannot read configuration file '${this.path}': ${e.message}`,
+					{ code: "INVALID_CONFIGURATION", cause: e });
+		}
+
+		let config;
+		try {
+			config = JSON.parse(text);
+		} catch (e) {
+			throw new BeanError(`invalid JSON in configuration file '${this.path}': ${e.message}`,
+					{ code: "INVALID_CONFIGURATION", cause: e });
+		}
+
+		if (!isPlainObject(config)) {
+			throw new BeanError(`configuration file '${this.path}' must contain an object`,
+					{ code: "INVALID_CONFIGURATION" });
+		}
+
+		return config;
+	}
+}
+everything.configFile = (path) => new ConfigFile(path);
+
+class ConfigEnv extends ConfigSource {
+	constructor(env, options = {}) {
+		super();
+		this.env = env;
+		this.prefix = options.prefix || "";
+		this.separator = options.separator || "__";
+	}
+	load() {
+		const config = {};
+
+		Object.entries(this.env)
+		.filter(([key]) => key.startsWith(this.prefix) && key.length > this.prefix.length)
+		.forEach(([key, envValue]) => {
+			const keys = key.slice(this.prefix.length).split(this.separator).map(camelCase);
+
+			let object = config;
+			keys.slice(0, -1).forEach(key => {
+				if (!isPlainObject(object[key])) object[key] = {};
+				object = object[key];
+			});
+			object[keys[keys.length - 1]] = envValue;
+		});
+
+		return config;
+	}
+}
+everything.configEnv = (env, options) => new ConfigEnv(env, options);
+
+function camelCase(envKey) {
+	return envKey.toLowerCase().replace(/_+([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
+
 /*
  * Error class.
  */
 
-const BeanError = everything.BeanError = function BeanError(message) {
+const BeanError = everything.BeanError = function BeanError(message, details = {}) {
+	const { code = "INVALID_ARGUMENT", beanName, path, cause } = details;
+
 	this.message = message;
+	this.code = code;
+	this.beanName = beanName;
+	this.path = path || (beanName === undefined ? [] : [ beanName ]);
+	if ("cause" in details) this.cause = cause;
 
 	const stackError = new Error(message);
 	stackError.name = "BeanError";
@@ -576,6 +2665,16 @@ BeanError.prototype = Object.create(Error.prototype);
 BeanError.prototype.name = "BeanError";
 BeanError.prototype.constructor = BeanError;
 
+function originalError(e) {
+	while (e instanceof BeanError && e.code === "CREATION_FAILED" && "cause" in e) e = e.cause;
+	return e;
+}
+
+function extendedPath(name, e) {
+	const path = (e instanceof BeanError) ? e.path : [];
+	return (path[0] === name) ? path : [ name, ...path ];
+}
+
 /*
  * Export everything, and put on instances via prototype.
  */
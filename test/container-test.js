@@ -1,12 +1,16 @@
 "use strict";
 
 const expect = require("chai").expect;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 
 const library = require("../src/container");
 
 const {
-	Container, bean, collection, replacement, value, promise, constructor, factory,
-	bound, promiser, seeker, BeanError
+	Container, bean, collection, replacement, transient, requestScoped, eager, tag, value, promise,
+	constructor, factory, resource,
+	bound, optional, promiser, lazy, seeker, tagged, signal, configFile, configEnv, BeanError
 } = library;
 
 describe('Container', function () {
@@ -20,6 +24,42 @@ describe('Container', function () {
 		container = new Container();
 	});
 
+	/*
+	 * Creates a temporary directory before the enclosing describe's tests (or before each test),
+	 * and removes it afterwards. Files written to it may be in subdirectories.
+	 */
+	function fixtureDirectory({ each = false } = {}) {
+		const fixtures = {
+			directory: undefined,
+			write(name, contents) {
+				const file = path.join(fixtures.directory, name);
+				fs.mkdirSync(path.dirname(file), { recursive: true });
+				fs.writeFileSync(file, contents);
+				return file;
+			}
+		};
+
+		(each ? beforeEach : before)(function () {
+			fixtures.directory = fs.mkdtempSync(path.join(os.tmpdir(), "minimalist-async-di-"));
+		});
+
+		(each ? afterEach : after)(function () {
+			removeDirectory(fixtures.directory);
+		});
+
+		return fixtures;
+	}
+
+	/* fs.rmSync() needs Node 14. */
+	function removeDirectory(directory) {
+		fs.readdirSync(directory, { withFileTypes: true }).forEach(entry => {
+			const file = path.join(directory, entry.name);
+			if (entry.isDirectory()) removeDirectory(file);
+			else fs.unlinkSync(file);
+		});
+		fs.rmdirSync(directory);
+	}
+
 	describe('registration with different creators', function () {
 
 		it('throws registering with invalid creator', function () {
@@ -173,14 +213,14 @@ describe('Container', function () {
 			}).to.throw(BeanError);
 		});
 
-		it('throws replacing created bean', async function () {
+		it('replaces created bean', async function () {
 			container.register("foo", value("foo"));
 
 			expect(await container.get("foo")).to.equal("foo");
 
-			expect(() => {
-				container.register(replacement("foo"), value("bar"));
-			}).to.throw(BeanError);
+			container.register(replacement("foo"), value("bar"));
+
+			expect(await container.get("foo")).to.equal("bar");
 		});
 
 		it('throws replacing pending bean', async function () {
@@ -306,7 +346,11 @@ describe('Container', function () {
 
 			await container.get("foo.bar").then(
 				() => { throw new Error("promise resolved but expecting rejection"); },
-				(error) => { expect(error).not.to.be.an.instanceOf(BeanError); }
+				(error) => {
+					expect(error.code).to.equal("CREATION_FAILED");
+					expect(error.beanName).to.equal("foo");
+					expect(error.cause.message).to.equal("instantiation failure");
+				}
 			);
 		});
 
@@ -424,6 +468,107 @@ describe('Container', function () {
 			expect(await args[0]()).to.equal("baz");
 		});
 
+		describe('lazy injection', function () {
+
+			class LazyTestBean {
+				constructor(name) {
+					this.name = name;
+				}
+				greet(greeting) {
+					return `${greeting} ${this.name}`;
+				}
+			}
+
+			it('does not create bean until used', async function () {
+				container.register("foo", constructor(ContainerTestBean), lazy("bar"));
+				container.register("bar", constructor(ContainerTestBean));
+
+				await container.get("foo");
+
+				expect(ContainerTestBean.numberOfBeans).to.equal(1);
+			});
+
+			it('returns promises from methods until bean is created', async function () {
+				container.register("foo", constructor(ContainerTestBean), lazy("bar"));
+				container.register("bar", constructor(LazyTestBean), value("baz"));
+
+				const bar = (await container.get("foo")).args[0];
+
+				expect(await bar.greet("hello")).to.equal("hello baz");
+			});
+
+			it('returns functions for other properties until bean is created', async function () {
+				container.register("foo", constructor(ContainerTestBean), lazy("bar"));
+				container.register("bar", constructor(LazyTestBean), value("baz"));
+
+				const bar = (await container.get("foo")).args[0];
+
+				expect(bar.name).to.be.a("function");
+				expect(await bar.name()).to.equal("baz");
+				expect(bar.name).to.equal("baz");
+			});
+
+			it('forwards to bean once it is created', async function () {
+				container.register("foo", constructor(ContainerTestBean), lazy("bar"));
+				container.register("bar", constructor(LazyTestBean), value("baz"));
+
+				const bar = (await container.get("foo")).args[0];
+				await container.get("bar");
+
+				expect(bar.greet("hello")).to.equal("hello baz");
+				expect(bar.name).to.equal("baz");
+				expect("greet" in bar).to.be.true;
+
+				bar.name = "qux";
+				expect((await container.get("bar")).name).to.equal("qux");
+			});
+
+			it('is not thenable before bean is created', async function () {
+				container.register("foo", constructor(ContainerTestBean), lazy("bar"));
+				container.register("bar", constructor(LazyTestBean));
+
+				const bar = (await container.get("foo")).args[0];
+
+				expect(bar.then).to.be.undefined;
+				expect(ContainerTestBean.numberOfBeans).to.equal(1);
+			});
+
+			it('breaks constructor-time cycles', async function () {
+				container.register("foo", constructor(LazyTestBean), value("foo"));
+				container.register("bar", factory((foo, baz) => ({ foo, baz })),
+						"foo", lazy("baz"));
+				container.register("baz", factory((bar) => new LazyTestBean(bar.foo.name)), "bar");
+
+				const bar = await container.get("bar");
+
+				expect(await bar.baz.greet("hello")).to.equal("hello foo");
+			});
+
+			it('rejects method calls when bean fails', async function () {
+				container.register("foo", constructor(ContainerTestBean), lazy("bar"));
+				container.register("bar", factory(() => { throw new Error("bummer"); }));
+
+				const bar = (await container.get("foo")).args[0];
+
+				await bar.greet("hello").then(
+						() => { throw new Error("promise resolved but expecting rejection"); },
+						(error) => { expect(error.message).to.contain("bummer"); }
+				);
+			});
+
+			it('throws setting property before bean is created', async function () {
+				container.register("foo", constructor(ContainerTestBean), lazy("bar"));
+				container.register("bar", constructor(LazyTestBean));
+
+				const bar = (await container.get("foo")).args[0];
+
+				expect(() => {
+					bar.name = "baz";
+				}).to.throw(BeanError);
+			});
+
+		});
+
 		it('provides synchronous factory using seeker injector', async function () {
 			container.register("foo", constructor(ContainerTestBean), seeker("bar"));
 			container.register("bar", value("baz"));
@@ -435,6 +580,38 @@ describe('Container', function () {
 			expect(args[0]()).to.equal("baz");
 		});
 
+		it('provides bean using optional injector', async function () {
+			container.register("foo", constructor(ContainerTestBean), optional("bar", "qux"));
+			container.register("bar", factory(() => "baz"));
+
+			expect((await container.get("foo")).args).to.deep.equal(["baz"]);
+		});
+
+		it('provides default value using optional injector when bean not registered',
+				async function () {
+			container.register("foo", constructor(ContainerTestBean),
+					optional("bar", "qux"), optional("baz"), optional("corge.grault"));
+
+			expect((await container.get("foo")).args).to.deep.equal(["qux", undefined, undefined]);
+		});
+
+		it('provides property using optional injector', async function () {
+			container.register("foo", constructor(ContainerTestBean), optional("bar.baz", "quux"));
+			container.register("bar", value({ baz: "qux" }));
+
+			expect((await container.get("foo")).args).to.deep.equal(["qux"]);
+		});
+
+		it('rejects using optional injector when bean fails', async function () {
+			container.register("foo", constructor(ContainerTestBean), optional("bar", "qux"));
+			container.register("bar", factory(() => { throw new Error("bummer"); }));
+
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => { expect(error.message).to.contain("bummer"); }
+			);
+		});
+
 		it('seeker returns undefined when bean not created', async function () {
 			container.register("foo", constructor(ContainerTestBean), seeker("bar"));
 			container.register("bar", factory(() => "baz"));
@@ -446,6 +623,107 @@ describe('Container', function () {
 
 	});
 
+	describe('tagged injection', function () {
+
+		it('injects array of tagged beans', async function () {
+			container.register("foo", constructor(ContainerTestBean), tagged("qux"));
+			container.register(tag("bar", "qux"), value("bar"));
+			container.register(tag("baz", "qux", "quux"), value("baz"));
+			container.register("corge", value("corge"));
+
+			expect((await container.get("foo")).args).to.deep.equal([["bar", "baz"]]);
+		});
+
+		it('injects map of tagged beans', async function () {
+			container.register("foo", constructor(ContainerTestBean), tagged("qux", { map: true }));
+			container.register(tag("bar", "qux"), value("bar"));
+			container.register(tag("baz", "qux"), value("baz"));
+
+			expect((await container.get("foo")).args[0]).to.deep.equal(new Map([
+				["bar", "bar"],
+				["baz", "baz"]
+			]));
+		});
+
+		it('injects empty array when nothing is tagged', async function () {
+			container.register("foo", constructor(ContainerTestBean), tagged("qux"));
+
+			expect((await container.get("foo")).args).to.deep.equal([[]]);
+		});
+
+		it('creates tagged beans in parallel', async function () {
+			const log = [];
+			const create = (name) => factory(async () => {
+				log.push(`start ${name}`);
+				await new Promise(resolve => setTimeout(resolve, 5));
+				log.push(`end ${name}`);
+				return name;
+			});
+
+			container.register("foo", constructor(ContainerTestBean), tagged("qux"));
+			container.register(tag("bar", "qux"), create("bar"));
+			container.register(tag("baz", "qux"), create("baz"));
+
+			await container.get("foo");
+
+			expect(log).to.deep.equal(["start bar", "start baz", "end bar", "end baz"]);
+		});
+
+		it('combines tags with other specifiers', async function () {
+			container.register(transient("foo"), constructor(ContainerTestBean), tagged("qux"));
+			container.register(tag(eager(collection("bar")), "qux"), value("bar"));
+			container.register(tag(transient("baz"), "qux"), factory(() => "baz"));
+
+			expect((await container.get("foo")).args).to.deep.equal([["bar", "baz"]]);
+		});
+
+		it('injects tagged beans from parent', async function () {
+			container.register(tag("bar", "qux"), value("bar"));
+			container.register(tag("baz", "qux"), value("baz"));
+
+			const scope = container.createScope();
+			scope.register(tag("baz", "qux"), value("scoped baz"));
+			scope.register("foo", constructor(ContainerTestBean), tagged("qux"));
+
+			expect((await scope.get("foo")).args).to.deep.equal([["bar", "scoped baz"]]);
+		});
+
+		it('keeps tags when bean is replaced', async function () {
+			container.register("foo", constructor(ContainerTestBean), tagged("qux"));
+			container.register(tag("bar", "qux"), value("bar"));
+			container.register(replacement("bar", "original"),
+					factory((original) => `${original} replaced`), "original");
+
+			expect((await container.get("foo")).args).to.deep.equal([["bar replaced"]]);
+		});
+
+		it('rejects when tagged bean fails', async function () {
+			container.register("foo", constructor(ContainerTestBean), tagged("qux"));
+			container.register(tag("bar", "qux"), factory(() => { throw new Error("bummer"); }));
+
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => { expect(error.message).to.contain("bummer"); }
+			);
+		});
+
+		it('rejects tagged bean injecting its own tag', async function () {
+			container.register(tag("foo", "qux"), constructor(ContainerTestBean), tagged("qux"));
+
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => { expect(error).to.be.an.instanceOf(BeanError); }
+			);
+		});
+
+		it('throws tagging without tags', function () {
+			expect(() => {
+				tag("foo");
+			}).to.throw(BeanError);
+		});
+
+	});
+
 	describe('cyclic dependencies', function () {
 
 		it('rejects injecting itself', async function () {
@@ -572,296 +850,3246 @@ describe('Container', function () {
 
 	});
 
-	describe('beans are singletons', function () {
+	describe('timeouts', function () {
 
-		it('creates beans once only', async function () {
-			container.register("foo", constructor(ContainerTestBean));
+		const never = () => new Promise(() => {});
 
-			await container.get("foo");
-			await container.get("foo");
+		it('rejects when factory does not settle within timeout', async function () {
+			container.register("foo", factory(never, { timeout: 10 }));
 
-			expect(ContainerTestBean.numberOfBeans).to.equal(1);
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => {
+						expect(error).to.be.an.instanceOf(BeanError);
+						expect(error.message).to.contain("bean 'foo' was not created within 10ms");
+					}
+			);
 		});
 
-		it('creates beans once only while pending', async function () {
-			let promise;
+		it('rejects when promise does not settle within timeout', async function () {
+			container.register("foo", promise(never(), { timeout: 10 }));
 
-			container.register("foo", factory(() => {
-				// Retrieve a second time while creating the bean
-				promise = container.get("foo");
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => { expect(error).to.be.an.instanceOf(BeanError); }
+			);
+		});
 
-				return new ContainerTestBean();
-			}));
+		it('names dependants waiting on stuck bean', async function () {
+			container.register("foo", constructor(ContainerTestBean), "bar");
+			container.register("bar", factory((baz) => baz), "baz");
+			container.register("baz", factory(never, { timeout: 10 }));
 
-			await container.get("foo");
-			await promise;
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => {
+						expect(error.message).to.contain("bean 'baz' was not created " +
+								"within 10ms; waiting on it: 'foo' -> 'bar'");
+					}
+			);
+		});
 
-			expect(ContainerTestBean.numberOfBeans).to.equal(1);
+		it('uses timeout of container', async function () {
+			container = new Container({ timeout: 10 });
+			container.register("foo", factory(never));
+
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => { expect(error).to.be.an.instanceOf(BeanError); }
+			);
 		});
 
-	});
+		it('prefers timeout of registration', async function () {
+			container = new Container({ timeout: 10 });
+			container.register("foo", factory(async () => {
+				await new Promise(resolve => setTimeout(resolve, 20));
+				return "bar";
+			}, { timeout: 0 }));
 
-	describe("collections", function () {
+			expect(await container.get("foo")).to.equal("bar");
+		});
 
-		it('throws registering with invalid specifier', function () {
+		it('does not time out waiting for dependencies', async function () {
+			container = new Container({ timeout: 10 });
+			container.register("foo", factory(async () => {
+				await new Promise(resolve => setTimeout(resolve, 6));
+				return "foo";
+			}), "bar");
+			container.register("bar", factory(async () => {
+				await new Promise(resolve => setTimeout(resolve, 6));
+				return "bar";
+			}));
+
+			expect(await container.get("foo")).to.equal("foo");
+		});
+
+		it('throws using invalid timeout', function () {
 			expect(() => {
-				container.register(factory("foo"), value("bar"));
+				factory(never, { timeout: "soon" });
 			}).to.throw(BeanError);
 		});
 
-		it("adds property to created collection with dot notation", async function () {
-			container.register("foo", value({}));
+	});
 
-			await container.get("foo");
+	describe('retries and fallbacks', function () {
 
-			container.register("foo.bar", value("baz"));
+		function failing(times, error = new Error("failed")) {
+			let calls = 0;
+			return () => {
+				if (++calls <= times) throw error;
+				return `succeeded after ${calls} calls`;
+			};
+		}
 
-			const bean = await container.get("foo");
-			expect(bean.bar).to.equal("baz");
-		});
+		it('retries failing factory', async function () {
+			container.register("foo", factory(failing(2), { retry: { attempts: 3 } }));
 
-		it("adds property to pending collection with dot notation", async function () {
-			let promise1;
-			let promise2;
+			expect(await container.get("foo")).to.equal("succeeded after 3 calls");
+		});
 
-			container.register("foo", factory(() => {
-				// Get "foo" again; this one still won't have the "bar" property because
-				// "foo" is still not fully created.
-				promise1 = container.get("foo");
+		it('retries failing constructor', async function () {
+			let calls = 0;
+			container.register("foo", constructor(function Foo() {
+				if (++calls < 2) throw new Error("failed");
+			}, { retry: { attempts: 2 } }));
 
-				// Register "foo.bar" while "foo" is being created.
-				container.register("foo.bar", factory(async () => {
-					expect((await promise1).bar).to.be.undefined;
+			expect((await container.get("foo")).constructor.name).to.equal("Foo");
+		});
 
-					return "baz";
-				}));
+		it('retries factory which does not settle within timeout', async function () {
+			let calls = 0;
+			container.register("foo", factory(() => (++calls < 2 ? new Promise(() => {}) : "foo"),
+					{ timeout: 10, retry: { attempts: 2 } }));
 
-				// Get "foo" yet again; this one should have the "bar" property.
-				promise2 = container.get("foo");
+			expect(await container.get("foo")).to.equal("foo");
+		});
 
-				return {};
-			}));
+		it('rejects with errors from all attempts', async function () {
+			const errors = [new Error("first"), new Error("second")];
+			let calls = 0;
+			container.register("foo", factory(() => { throw errors[calls++]; },
+					{ retry: { attempts: 2 } }));
 
-			// We don't expect this one to have the "bar" property because it was retrieved
-			// before "foo" was created.
-			expect((await container.get("foo")).bar).to.be.undefined;
-			expect((await promise2).bar).to.equal("baz");
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => {
+						expect(error).to.be.an.instanceOf(BeanError);
+						expect(error.message).to.contain("bean 'foo' could not be created:\n" +
+								"attempt 1: Error: first\nattempt 2: Error: second");
+						expect(error.cause.errors).to.deep.equal(errors);
+						expect(error.cause.cause).to.equal(errors[1]);
+					}
+			);
 		});
 
-		it("adds property to uncreated collection with dot notation", async function () {
-			container.register("foo", factory(() => ({})));
-			container.register("foo.bar", value("baz"));
+		it('backs off exponentially between attempts', async function () {
+			const delays = [];
+			container.on("retrying", ({ attempt, delay }) => delays.push([attempt, delay]));
+			container.register("foo", factory(failing(3), { retry: { attempts: 4, backoff: 1 } }));
 
-			expect((await container.get("foo")).bar).to.equal("baz");
+			expect(await container.get("foo")).to.equal("succeeded after 4 calls");
+			expect(delays).to.deep.equal([[1, 1], [2, 2], [3, 4]]);
 		});
 
-		it("adds property to created collection with bracket notation", async function () {
-			container.register("foo", value({}));
+		it('backs off using function', async function () {
+			const error = new Error("failed");
+			const calls = [];
+			container.register("foo", factory(failing(2, error), {
+				retry: {
+					attempts: 3,
+					backoff: (attempt, e) => {
+						calls.push([attempt, e]);
+						return 0;
+					}
+				}
+			}));
 
 			await container.get("foo");
 
-			container.register("foo[bar]", value("baz"));
-
-			const bean = await container.get("foo");
-			expect(bean.bar).to.equal("baz");
+			expect(calls).to.deep.equal([[1, error], [2, error]]);
 		});
 
-		it("adds property to pending collection with bracket notation", async function () {
-			let promise1;
-			let promise2;
+		it('only retries errors accepted by retryIf', async function () {
+			container.register("foo", factory(failing(2, new TypeError("fatal")), {
+				retry: { attempts: 3, retryIf: error => !(error instanceof TypeError) }
+			}));
 
-			container.register("foo", factory(() => {
-				// Get "foo" again; this one still won't have the "bar" property because
-				// "foo" is still not fully created.
-				promise1 = container.get("foo");
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => {
+						expect(error.message).to.contain("attempt 1: TypeError: fatal");
+						expect(error.message).to.not.contain("attempt 2");
+					}
+			);
+		});
 
-				// Register "foo.bar" while "foo" is being created.
-				container.register("foo[bar]", factory(async () => {
-					expect((await promise1).bar).to.be.undefined;
+		it('does not retry failed dependencies', async function () {
+			let calls = 0;
+			container.register("foo", factory(() => calls++, { retry: { attempts: 3 } }), "bar");
+			container.register("bar", factory(() => { throw new Error("bar failed"); }));
 
-					return "baz";
-				}));
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => { expect(error.message).to.contain("bar failed"); }
+			);
+			expect(calls).to.equal(0);
+		});
 
-				// Get "foo" yet again; this one should have the "bar" property.
+		it('uses fallback when retries run out', async function () {
+			container.register("foo", factory(failing(2), {
+				retry: { attempts: 2 },
+				fallback: value("fallback")
+			}));
+
+			expect(await container.get("foo")).to.equal("fallback");
+		});
+
+		it('injects dependencies into fallback', async function () {
+			container.register("foo", factory(failing(1), {
+				fallback: factory(bar => `fallback with ${bar}`)
+			}), "bar");
+			container.register("bar", value("bar"));
+
+			expect(await container.get("foo")).to.equal("fallback with bar");
+		});
+
+		it('rejects when fallback fails', async function () {
+			container.register("foo", factory(failing(1, new Error("first")), {
+				fallback: factory(() => { throw new Error("fallback failed"); })
+			}));
+
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => {
+						expect(error.message).to.contain(
+								"attempt 1: Error: first\nfallback: Error: fallback failed");
+					}
+			);
+		});
+
+		it('throws using invalid retry policy', function () {
+			expect(() => {
+				factory(() => "foo", { retry: { attempts: 0 } });
+			}).to.throw(BeanError, "retry attempts must be a positive integer");
+			expect(() => {
+				factory(() => "foo", { retry: { backoff: -1 } });
+			}).to.throw(BeanError, "retry backoff must be");
+			expect(() => {
+				constructor(ContainerTestBean, { retry: { retryIf: true } });
+			}).to.throw(BeanError, "retryIf must be a function");
+		});
+
+		it('throws using invalid fallback', function () {
+			expect(() => {
+				factory(() => "foo", { fallback: "bar" });
+			}).to.throw(BeanError, "fallback must be");
+			expect(() => {
+				factory(() => "foo", { fallback: resource(() => "bar", () => {}) });
+			}).to.throw(BeanError, "fallback must be");
+			expect(() => {
+				factory(() => "foo", { fallback: factory("bar") });
+			}).to.throw(BeanError, "fallback must be");
+		});
+
+	});
+
+	describe('resetting failed beans', function () {
+
+		function failingOnce(bean) {
+			let calls = 0;
+			return () => {
+				if (++calls === 1) throw new Error("failed");
+				return bean;
+			};
+		}
+
+		async function expectRejection(promise) {
+			await promise.then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					() => {}
+			);
+		}
+
+		it('creates failed bean again after reset', async function () {
+			container.register("foo", factory(failingOnce("foo")));
+			await expectRejection(container.get("foo"));
+
+			container.reset("foo");
+
+			expect(await container.get("foo")).to.equal("foo");
+		});
+
+		it('keeps failure without reset', async function () {
+			container.register("foo", factory(failingOnce("foo")));
+			await expectRejection(container.get("foo"));
+
+			await expectRejection(container.get("foo"));
+		});
+
+		it('resets failed dependants', async function () {
+			container.register("foo", factory(failingOnce("foo")));
+			container.register("bar", constructor(ContainerTestBean), "foo");
+			await expectRejection(container.get("bar"));
+
+			container.reset("foo");
+
+			expect((await container.get("bar")).args).to.deep.equal(["foo"]);
+		});
+
+		it('restores children of failed collection', async function () {
+			container.register("foo", factory(failingOnce({})));
+			container.register("foo.bar", value("baz"));
+			await expectRejection(container.get("foo"));
+
+			container.reset("foo");
+
+			expect(await container.get("foo")).to.deep.equal({ bar: "baz" });
+		});
+
+		it('resets collection with failed child', async function () {
+			container.register("foo", factory(() => ({})));
+			container.register("foo.bar", factory(failingOnce("baz")));
+			await expectRejection(container.get("foo"));
+
+			container.reset("foo.bar");
+
+			expect(await container.get("foo")).to.deep.equal({ bar: "baz" });
+		});
+
+		it('does not reset bean which has not failed', async function () {
+			container.register("foo", constructor(ContainerTestBean));
+			const foo = await container.get("foo");
+
+			container.reset("foo");
+
+			expect(await container.get("foo")).to.equal(foo);
+			expect(ContainerTestBean.numberOfBeans).to.equal(1);
+		});
+
+		it('describes reset bean as registered', async function () {
+			container.register("foo", factory(failingOnce("foo")));
+			await expectRejection(container.get("foo"));
+
+			container.reset("foo");
+
+			expect(container.describe()[0].state).to.equal("registered");
+		});
+
+		it('throws resetting unregistered bean', function () {
+			expect(() => {
+				container.reset("foo");
+			}).to.throw(BeanError, "no bean registered with name 'foo'");
+		});
+
+		it('resets failed beans automatically', async function () {
+			container = new Container({ resetFailed: true });
+			container.register("foo", factory(failingOnce("foo")));
+			container.register("bar", constructor(ContainerTestBean), "foo");
+
+			await expectRejection(container.get("bar"));
+
+			expect((await container.get("bar")).args).to.deep.equal(["foo"]);
+		});
+
+	});
+
+	describe('aborting', function () {
+
+		function untilAborted(signal) {
+			return new Promise((resolve, reject) => {
+				signal.addEventListener("abort", () => reject(new Error("aborted")));
+			});
+		}
+
+		async function expectAborted(promise, name) {
+			await promise.then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => {
+						expect(error).to.be.an.instanceOf(BeanError);
+						expect(error.message).to.equal(`getting bean '${name}' was aborted`);
+					}
+			);
+		}
+
+		it('rejects when signal is already aborted', async function () {
+			container.register("foo", value("foo"));
+
+			await expectAborted(container.get("foo", { signal: AbortSignal.abort() }), "foo");
+		});
+
+		it('rejects when signal aborts during creation', async function () {
+			const controller = new AbortController();
+			container.register("foo", factory(() => new Promise(() => {})));
+
+			const promisedFoo = container.get("foo", { signal: controller.signal });
+			controller.abort();
+
+			await expectAborted(promisedFoo, "foo");
+		});
+
+		it('aborts injected signal and creates bean again when waiter aborts', async function () {
+			const controller = new AbortController();
+			const signals = [];
+			container.register("foo", factory(signal => {
+				signals.push(signal);
+				return signals.length === 1 ? untilAborted(signal) : "foo";
+			}), signal());
+
+			const promisedFoo = container.get("foo", { signal: controller.signal });
+			await Promise.resolve();
+			controller.abort();
+			await expectAborted(promisedFoo, "foo");
+
+			expect(signals[0].aborted).to.equal(true);
+			expect(container.describe()[0].state).to.equal("registered");
+			expect(await container.get("foo")).to.equal("foo");
+		});
+
+		it('does not cancel creation while waiter without signal waits', async function () {
+			const controller = new AbortController();
+			let injectedSignal;
+			let resolveFoo;
+			container.register("foo", factory(signal => {
+				injectedSignal = signal;
+				return new Promise(resolve => { resolveFoo = resolve; });
+			}), signal());
+
+			const abortedFoo = container.get("foo", { signal: controller.signal });
+			const promisedFoo = container.get("foo");
+			await new Promise(resolve => setImmediate(resolve));
+			controller.abort();
+			await expectAborted(abortedFoo, "foo");
+			resolveFoo("foo");
+
+			expect(await promisedFoo).to.equal("foo");
+			expect(injectedSignal.aborted).to.equal(false);
+		});
+
+		it('cancels creation when every waiter aborts', async function () {
+			const first = new AbortController();
+			const second = new AbortController();
+			let injectedSignal;
+			container.register("foo", factory(signal => {
+				injectedSignal = signal;
+				return untilAborted(signal);
+			}), signal());
+
+			const firstFoo = container.get("foo", { signal: first.signal });
+			const secondFoo = container.get("foo", { signal: second.signal });
+			await new Promise(resolve => setImmediate(resolve));
+
+			first.abort();
+			await expectAborted(firstFoo, "foo");
+			expect(injectedSignal.aborted).to.equal(false);
+
+			second.abort();
+			await expectAborted(secondFoo, "foo");
+			expect(injectedSignal.aborted).to.equal(true);
+		});
+
+		it('cancels creation of dependencies', async function () {
+			const controller = new AbortController();
+			let injectedSignal;
+			container.register("foo", factory(signal => {
+				injectedSignal = signal;
+				return untilAborted(signal);
+			}), signal());
+			container.register("bar", constructor(ContainerTestBean), "foo");
+
+			const promisedBar = container.get("bar", { signal: controller.signal });
+			await new Promise(resolve => setImmediate(resolve));
+			controller.abort();
+
+			await expectAborted(promisedBar, "bar");
+			expect(injectedSignal.aborted).to.equal(true);
+			expect(container.describe().map(({ state }) => state))
+			.to.deep.equal(["registered", "registered"]);
+		});
+
+		it('disposes bean created after cancellation', async function () {
+			const controller = new AbortController();
+			let resolveFoo;
+			let disposed = false;
+			container.register("foo", factory(() => new Promise(resolve => {
+				resolveFoo = resolve;
+			})));
+
+			const promisedFoo = container.get("foo", { signal: controller.signal });
+			await new Promise(resolve => setImmediate(resolve));
+			controller.abort();
+			await expectAborted(promisedFoo, "foo");
+
+			resolveFoo({ dispose() { disposed = true; } });
+			await new Promise(resolve => setImmediate(resolve));
+
+			expect(disposed).to.equal(true);
+		});
+
+		it('resolves concurrent gets in order', async function () {
+			const order = [];
+			container.register("foo", factory(async () => "foo"));
+
+			await Promise.all([
+				container.get("foo").then(() => order.push("first")),
+				container.get("foo").then(() => order.push("second")),
+				container.get("foo", { signal: new AbortController().signal })
+				.then(() => order.push("third"))
+			]);
+
+			expect(order).to.deep.equal(["first", "second", "third"]);
+		});
+
+		it('injects signal which never aborts without signal', async function () {
+			container.register("foo", factory(signal => signal), signal());
+
+			const injectedSignal = await container.get("foo");
+
+			expect(injectedSignal.aborted).to.equal(false);
+			expect(() => injectedSignal.addEventListener("abort", () => {})).not.to.throw();
+		});
+
+		it('aborts starting beans', async function () {
+			const controller = new AbortController();
+			container.register(eager("foo"), factory(signal => untilAborted(signal)), signal());
+
+			const starting = container.start({ signal: controller.signal });
+			await new Promise(resolve => setImmediate(resolve));
+			controller.abort();
+
+			await starting.then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => {
+						expect(error.message).to.contain("getting bean 'foo' was aborted");
+					}
+			);
+		});
+
+	});
+
+	describe('beans are singletons', function () {
+
+		it('creates beans once only', async function () {
+			container.register("foo", constructor(ContainerTestBean));
+
+			await container.get("foo");
+			await container.get("foo");
+
+			expect(ContainerTestBean.numberOfBeans).to.equal(1);
+		});
+
+		it('creates beans once only while pending', async function () {
+			let promise;
+
+			container.register("foo", factory(() => {
+				// Retrieve a second time while creating the bean
+				promise = container.get("foo");
+
+				return new ContainerTestBean();
+			}));
+
+			await container.get("foo");
+			await promise;
+
+			expect(ContainerTestBean.numberOfBeans).to.equal(1);
+		});
+
+	});
+
+	describe('transient beans', function () {
+
+		it('creates transient beans every time', async function () {
+			container.register(transient("foo"), constructor(ContainerTestBean));
+
+			const foo1 = await container.get("foo");
+			const foo2 = await container.get("foo");
+
+			expect(foo1).to.not.equal(foo2);
+			expect(ContainerTestBean.numberOfBeans).to.equal(2);
+		});
+
+		it('injects transient beans into transient beans', async function () {
+			container.register(transient("foo"), constructor(ContainerTestBean), "bar");
+			container.register(transient("bar"), factory(() => new ContainerTestBean()));
+
+			const foo1 = await container.get("foo");
+			const foo2 = await container.get("foo");
+
+			expect(foo1.args[0]).to.not.equal(foo2.args[0]);
+			expect(ContainerTestBean.numberOfBeans).to.equal(4);
+		});
+
+		it('injects singleton beans into transient beans', async function () {
+			container.register(transient("foo"), constructor(ContainerTestBean), "bar");
+			container.register("bar", factory(() => new ContainerTestBean()));
+
+			const foo1 = await container.get("foo");
+			const foo2 = await container.get("foo");
+
+			expect(foo1.args[0]).to.equal(foo2.args[0]);
+		});
+
+		it('rejects injecting transient bean into singleton bean', async function () {
+			container.register("foo", constructor(ContainerTestBean), "bar");
+			container.register(transient("bar"), constructor(ContainerTestBean));
+
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => { expect(error).to.be.an.instanceOf(BeanError); }
+			);
+		});
+
+		it('rejects injecting property of transient bean into singleton bean', async function () {
+			container.register("foo", constructor(ContainerTestBean), "bar.baz");
+			container.register(transient("bar"), factory(() => ({ baz: "baz" })));
+
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => {
+						expect(error.cause.code).to.equal("CAPTIVE_DEPENDENCY");
+						expect(error.message).to.contain("singleton bean 'foo' cannot depend on " +
+								"transient bean 'bar'");
+					}
+			);
+		});
+
+		it('rejects binding method of transient bean into singleton bean', async function () {
+			container.register("foo", constructor(ContainerTestBean), bound("bar.baz"));
+			container.register(transient("bar"), factory(() => ({ baz() {} })));
+
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => { expect(error.cause.code).to.equal("CAPTIVE_DEPENDENCY"); }
+			);
+		});
+
+		it('rejects injecting tagged transient bean into singleton bean', async function () {
+			container.register("foo", constructor(ContainerTestBean), tagged("qux"));
+			container.register(tag(transient("bar"), "qux"), constructor(ContainerTestBean));
+
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => {
+						expect(error.cause.code).to.equal("CAPTIVE_DEPENDENCY");
+						expect(error.cause.path).to.deep.equal(["foo", "bar"]);
+					}
+			);
+		});
+
+		it('injects tagged transient beans into transient bean', async function () {
+			container.register(transient("foo"), constructor(ContainerTestBean), tagged("qux"));
+			container.register(tag(transient("bar"), "qux"), constructor(ContainerTestBean));
+
+			const foo1 = await container.get("foo");
+			const foo2 = await container.get("foo");
+
+			expect(foo1.args[0][0]).to.not.equal(foo2.args[0][0]);
+		});
+
+		it('injects transient bean into singleton bean using promiser injector',
+				async function () {
+			container.register("foo", constructor(ContainerTestBean), promiser("bar"));
+			container.register(transient("bar"), constructor(ContainerTestBean));
+
+			const createBar = (await container.get("foo")).args[0];
+
+			expect(await createBar()).to.not.equal(await createBar());
+		});
+
+		it('rejects transient beans with cyclic dependency', async function () {
+			container.register(transient("foo"), constructor(ContainerTestBean), "bar");
+			container.register(transient("bar"), constructor(ContainerTestBean), "foo");
+
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => { expect(error).to.be.an.instanceOf(BeanError); }
+			);
+		});
+
+		it('throws registering transient bean with value creator', function () {
+			expect(() => {
+				container.register(transient("foo"), value("bar"));
+			}).to.throw(BeanError);
+		});
+
+		it('throws registering transient alias', function () {
+			expect(() => {
+				container.register(transient("foo"), "bar");
+			}).to.throw(BeanError);
+		});
+
+	});
+
+	describe("tokens", function () {
+
+		class Config {
+			constructor() {
+				this.url = "db://localhost";
+			}
+		}
+
+		class DbPool {
+			constructor(config) {
+				this.config = config;
+			}
+		}
+
+		it("registers and gets bean by class", async function () {
+			container.register(Config, constructor(Config));
+			container.register(DbPool, constructor(DbPool), Config);
+
+			const pool = await container.get(DbPool);
+
+			expect(pool).to.be.an.instanceOf(DbPool);
+			expect(pool.config.url).to.equal("db://localhost");
+		});
+
+		it("does not confuse classes with the same name", async function () {
+			const OtherConfig = (() => class Config {})();
+
+			container.register(Config, value("ours"));
+			container.register(OtherConfig, value("theirs"));
+
+			expect(await container.get(Config)).to.equal("ours");
+			expect(await container.get(OtherConfig)).to.equal("theirs");
+		});
+
+		it("registers and gets bean by symbol", async function () {
+			const url = Symbol("url");
+
+			container.register(url, value("db://localhost"));
+			container.register("pool", factory(url => ({ url })), url);
+
+			expect(await container.get(url)).to.equal("db://localhost");
+			expect((await container.get("pool")).url).to.equal("db://localhost");
+		});
+
+		it("injects tokens using injectors", async function () {
+			const url = Symbol("url");
+
+			container.register(url, value("db://localhost"));
+			container.register(Config, constructor(Config));
+			container.register("pool", factory(async (promiseUrl, config, missing) =>
+					({ url: await promiseUrl(), config, missing })),
+					promiser(url), bean(Config), optional(Symbol("missing"), "none"));
+
+			const pool = await container.get("pool");
+
+			expect(pool.url).to.equal("db://localhost");
+			expect(pool.config).to.be.an.instanceOf(Config);
+			expect(pool.missing).to.equal("none");
+		});
+
+		it("aliases symbol", async function () {
+			const url = Symbol("url");
+
+			container.register(url, value("db://localhost"));
+			container.register("url", url);
+
+			expect(await container.get("url")).to.equal("db://localhost");
+		});
+
+		it("aliases class using bean()", async function () {
+			container.register(Config, constructor(Config));
+			container.register("config", bean(Config));
+			container.register(DbPool, constructor(DbPool), bean(Config));
+
+			expect(await container.get("config")).to.equal(await container.get(Config));
+			expect((await container.get(DbPool)).config).to.equal(await container.get(Config));
+			expect(container.describe()[1].creator).to.equal("alias");
+		});
+
+		it("uses constructor registered with class using bean()", async function () {
+			const Pool = class Pool {};
+
+			container.register(Pool, value(DbPool));
+			container.register(DbPool, constructor(bean(Pool)), value("config"));
+
+			expect((await container.get(DbPool)).config).to.equal("config");
+		});
+
+		it("uses constructor registered with symbol", async function () {
+			const Pool = Symbol("Pool");
+
+			container.register(Pool, value(DbPool));
+			container.register(DbPool, constructor(Pool), value("config"));
+
+			expect((await container.get(DbPool)).config).to.equal("config");
+		});
+
+		it("registers tokens with other specifiers", async function () {
+			const url = Symbol("url");
+
+			container.register(transient(DbPool), constructor(DbPool));
+			container.register(tag(url, "setting"), value("db://localhost"));
+
+			expect(await container.get(DbPool)).not.to.equal(await container.get(DbPool));
+			expect(container.describe().find(description => description.name === url).tags)
+			.to.deep.equal(["setting"]);
+		});
+
+		it("names tokens in errors", async function () {
+			const missing = Symbol("missing");
+
+			await container.get(missing).then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => {
+						expect(error.message)
+						.to.equal("no bean registered with name 'Symbol(missing)'");
+						expect(error.beanName).to.equal(missing);
+					}
+			);
+
+			container.register(DbPool, constructor(DbPool), Config);
+
+			await container.get(DbPool).then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => {
+						expect(error.message).to.equal("while creating bean '[class DbPool]':\n" +
+								"BeanError: no bean registered with name '[class Config]'");
+						expect(error.path).to.deep.equal([DbPool, Config]);
+					}
+			);
+		});
+
+		it("throws registering token twice", function () {
+			container.register(DbPool, constructor(DbPool));
+
+			expect(() => {
+				container.register(DbPool, constructor(DbPool));
+			}).to.throw(BeanError, "'[class DbPool]' already registered");
+		});
+
+		it("validates graph with tokens", function () {
+			container.register(Config, constructor(Config), DbPool);
+			container.register(DbPool, constructor(DbPool), Config);
+
+			expect(() => container.validate()).to.throw(BeanError,
+					"dependency cycle: '[class Config]' -> '[class DbPool]' -> '[class Config]'");
+		});
+
+		it("exports graph with tokens", function () {
+			const url = Symbol("url");
+
+			container.register(url, value("db://localhost"));
+			container.register(DbPool, constructor(DbPool), url);
+
+			const graph = JSON.parse(container.exportGraph());
+
+			expect(graph.map(description => description.name))
+			.to.deep.equal(["Symbol(url)", "[class DbPool]"]);
+			expect(graph[1].dependencies)
+			.to.deep.equal([{ injector: "bean", name: "Symbol(url)" }]);
+			expect(container.exportGraph("dot")).to.contain('n1 -> n0;');
+		});
+
+		it("exports graph with tokens of the same name as different nodes", function () {
+			const first = Symbol("db");
+			const second = Symbol("db");
+
+			container.register(first, value("first"));
+			container.register(second, value("second"));
+			container.register("foo", factory(() => "foo"), second);
+
+			expect(container.exportGraph("dot")).to.equal([
+				'digraph beans {',
+				'\tn0 [label="Symbol(db)\\nvalue (registered)"];',
+				'\tn1 [label="Symbol(db)\\nvalue (registered)"];',
+				'\tn2 [label="foo\\nfactory (registered)"];',
+				'\tn2 -> n1;',
+				'}',
+				''
+			].join("\n"));
+		});
+
+		it("post-processes beans matching class", async function () {
+			container.register(Config, constructor(Config));
+			container.register("config", value({ url: "db://remote" }));
+			container.postProcess(Config, config => ({ url: config.url.toUpperCase() }));
+
+			expect((await container.get(Config)).url).to.equal("DB://LOCALHOST");
+			expect((await container.get("config")).url).to.equal("db://remote");
+		});
+
+		it("post-processes beans matching function token using bean()", async function () {
+			function createPool() {}
+
+			container.register(createPool, value("pool"));
+			container.postProcess(bean(createPool), pool => pool.toUpperCase());
+
+			expect(await container.get(createPool)).to.equal("POOL");
+		});
+
+		it("post-processes beans matching symbol", async function () {
+			const url = Symbol("url");
+
+			container.register(url, value("db://localhost"));
+			container.register("url", value("db://remote"));
+			container.postProcess(url, bean => bean.toUpperCase());
+			container.postProcess(/./, bean => `${bean}/`);
+
+			expect(await container.get(url)).to.equal("DB://LOCALHOST");
+			expect(await container.get("url")).to.equal("db://remote/");
+		});
+
+	});
+
+	describe("autowiring", function () {
+
+		class Kitchen {
+			constructor(oven, heat) {
+				this.oven = oven;
+				this.heat = heat;
+			}
+		}
+		Kitchen.inject = ["oven", bound("oven.heat")];
+
+		const oven = {
+			temperature: 180,
+			heat() {
+				return this.temperature;
+			}
+		};
+
+		it("injects dependencies listed on constructor", async function () {
+			container.register("oven", value(oven));
+			container.register("kitchen", constructor(Kitchen));
+
+			const kitchen = await container.get("kitchen");
+
+			expect(kitchen.oven).to.equal(oven);
+			expect(kitchen.heat()).to.equal(180);
+		});
+
+		it("injects dependencies listed on factory", async function () {
+			const createKitchen = (oven) => ({ oven });
+			createKitchen.inject = [optional("oven", "campfire")];
+
+			container.register("kitchen", factory(createKitchen));
+
+			expect((await container.get("kitchen")).oven).to.equal("campfire");
+		});
+
+		it("prefers dependencies passed to register", async function () {
+			container.register("oven", value(oven));
+			container.register("kitchen", constructor(Kitchen), value("stove"));
+
+			expect((await container.get("kitchen")).oven).to.equal("stove");
+		});
+
+		it("describes dependencies listed on constructor", function () {
+			container.register("kitchen", constructor(Kitchen));
+
+			expect(container.describe()[0].dependencies).to.deep.equal([
+				{ injector: "bean", name: "oven" },
+				{ injector: "bound", name: "oven.heat" }
+			]);
+		});
+
+		it("throws registering with invalid inject", function () {
+			class Invalid {
+				static inject() {}
+			}
+
+			expect(() => {
+				container.register("invalid", constructor(Invalid));
+			}).to.throw(BeanError, "static inject of '[class Invalid]' for bean 'invalid' " +
+					"must be an array of bean names or injectors");
+		});
+
+		it("throws registering with invalid dependency in inject", function () {
+			const createKitchen = () => ({});
+			createKitchen.inject = [42];
+
+			expect(() => {
+				container.register("kitchen", factory(createKitchen));
+			}).to.throw(BeanError, "dependencies must be bean names or injectors");
+		});
+
+		it("throws registering with mismatched dependencies when strict", function () {
+			container = new Container({ strict: true });
+
+			class Stove {
+				constructor(oven, hob) {
+					this.oven = oven;
+					this.hob = hob;
+				}
+			}
+			Stove.inject = ["oven"];
+
+			expect(() => {
+				container.register("stove", constructor(Stove));
+			}).to.throw(BeanError, "'[class Stove]' for bean 'stove' takes 2 parameters, " +
+					"but has 1 dependency");
+
+			expect(() => {
+				container.register("kitchen", factory(function createKitchen() {}), "oven");
+			}).to.throw(BeanError, "'[Function: createKitchen]' for bean 'kitchen' " +
+					"takes 0 parameters, but has 1 dependency");
+		});
+
+		it("registers matching dependencies when strict", async function () {
+			container = new Container({ strict: true });
+
+			container.register("oven", value(oven));
+			container.register("kitchen", constructor(Kitchen));
+
+			expect((await container.get("kitchen")).oven).to.equal(oven);
+		});
+
+	});
+
+	describe("collections", function () {
+
+		it('throws registering with invalid specifier', function () {
+			expect(() => {
+				container.register(factory("foo"), value("bar"));
+			}).to.throw(BeanError);
+		});
+
+		it("adds property to created collection with dot notation", async function () {
+			container.register("foo", value({}));
+
+			await container.get("foo");
+
+			container.register("foo.bar", value("baz"));
+
+			const bean = await container.get("foo");
+			expect(bean.bar).to.equal("baz");
+		});
+
+		it("adds property to pending collection with dot notation", async function () {
+			let promise1;
+			let promise2;
+
+			container.register("foo", factory(() => {
+				// Get "foo" again; this one still won't have the "bar" property because
+				// "foo" is still not fully created.
+				promise1 = container.get("foo");
+
+				// Register "foo.bar" while "foo" is being created.
+				container.register("foo.bar", factory(async () => {
+					expect((await promise1).bar).to.be.undefined;
+
+					return "baz";
+				}));
+
+				// Get "foo" yet again; this one should have the "bar" property.
 				promise2 = container.get("foo");
 
-				return {};
-			}));
+				return {};
+			}));
+
+			// We don't expect this one to have the "bar" property because it was retrieved
+			// before "foo" was created.
+			expect((await container.get("foo")).bar).to.be.undefined;
+			expect((await promise2).bar).to.equal("baz");
+		});
+
+		it("adds property to uncreated collection with dot notation", async function () {
+			container.register("foo", factory(() => ({})));
+			container.register("foo.bar", value("baz"));
+
+			expect((await container.get("foo")).bar).to.equal("baz");
+		});
+
+		it("adds property to created collection with bracket notation", async function () {
+			container.register("foo", value({}));
+
+			await container.get("foo");
+
+			container.register("foo[bar]", value("baz"));
+
+			const bean = await container.get("foo");
+			expect(bean.bar).to.equal("baz");
+		});
+
+		it("adds property to pending collection with bracket notation", async function () {
+			let promise1;
+			let promise2;
+
+			container.register("foo", factory(() => {
+				// Get "foo" again; this one still won't have the "bar" property because
+				// "foo" is still not fully created.
+				promise1 = container.get("foo");
+
+				// Register "foo.bar" while "foo" is being created.
+				container.register("foo[bar]", factory(async () => {
+					expect((await promise1).bar).to.be.undefined;
+
+					return "baz";
+				}));
+
+				// Get "foo" yet again; this one should have the "bar" property.
+				promise2 = container.get("foo");
+
+				return {};
+			}));
+
+			// We don't expect this one to have the "bar" property because it was retrieved
+			// before "foo" was created.
+			expect((await container.get("foo")).bar).to.be.undefined;
+			expect((await promise2).bar).to.equal("baz");
+		});
+
+		it("adds property to uncreated collection with bracket notation", async function () {
+			container.register("foo", factory(() => ({})));
+			container.register("foo[bar]", value("baz"));
+
+			expect((await container.get("foo")).bar).to.equal("baz");
+		});
+
+		it("does not add property to unknown collection", async function () {
+			container.register("foo.bar", value("baz"));
+			container.register("foo", value({}));
+
+			expect((await container.get("foo")).bar).to.be.undefined;
+		});
+
+		it("rejects when created collection is retrieved again on property error",
+				async function () {
+			container.register("foo", value({}));
+
+			await container.get("foo");
+
+			container.register("foo.bar", factory(() => { throw new Error("bummer"); }));
+
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => { expect(error.message).to.contain("bummer"); }
+			);
+		});
+
+		it("rejects when uncreated collection is created on property error",
+				async function () {
+			container.register("foo", factory(() => ({})));
+			container.register("foo.bar", factory(() => { throw new Error("bummer"); }));
+
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => { expect(error.message).to.contain("bummer"); }
+			);
+		});
+
+		it('retains replaced collection', async function () {
+			container.register("foo", value({}));
+			container.register("foo.bar", value("baz"));
+			container.register(replacement("foo", "original"), value("new"));
+
+			expect((await container.get("original")).bar).to.equal("baz");
+			expect(await container.get("foo")).to.equal("new");
+		});
+
+		it('retains replaced bean in a collection', async function () {
+			container.register("foo", value({}));
+			container.register("original", value({}));
+			container.register("foo.bar", value("baz"));
+			container.register(replacement("foo.bar", "original.bar"), value("qux"));
+
+			expect((await container.get("original")).bar).to.equal("baz");
+			expect((await container.get("foo")).bar).to.equal("qux");
+		});
+
+		it("sets into a Map", async function () {
+			container.register("foo", value(new Map()));
+			container.register("foo.bar", value("baz"));
+
+			expect((await container.get("foo")).get("bar")).to.equal("baz");
+		});
+
+		it("gets from a Map", async function () {
+			const map = new Map();
+			map.set("bar", "baz");
+
+			container.register("foo", value(map));
+
+			expect((await container.get("foo.bar"))).to.equal("baz");
+		});
+
+		it("sets into a Container", async function () {
+			container.register("foo", value(new Container()));
+			container.register("foo.bar", value("baz"));
+
+			const subcontainer = await container.get("foo");
+			expect(await subcontainer.get("bar")).to.equal("baz");
+		});
+
+		it("gets from a Container", async function () {
+			const subcontainer = new Container();
+			subcontainer.register("bar", value("baz"));
+
+			container.register("foo", value(subcontainer));
+
+			expect(await container.get("foo.bar")).to.equal("baz");
+		});
+
+	});
+
+	describe("custom collections", function () {
+
+		class SynchronousCollection {
+			constructor() {
+				this.store = {};
+			}
+			retrieve(name) {
+				return this.store[name];
+			}
+			put(name, val) {
+				this.store[name] = val;
+			}
+		}
+
+		const synchronousCollectionSpecfier = collection("foo",
+				SynchronousCollection.prototype.retrieve,
+				SynchronousCollection.prototype.put);
+
+		class AsynchronousCollection {
+			constructor() {
+				this.store = {};
+			}
+			async retrieve(name) {
+				return this.store[name];
+			}
+			async put(name, val) {
+				this.store[name] = val;
+			}
+		}
+
+		const asynchronousCollectionSpecfier = collection("foo",
+				AsynchronousCollection.prototype.retrieve,
+				AsynchronousCollection.prototype.put);
+
+		it("sets synchronously into a custom collection", async function () {
+			container.register(synchronousCollectionSpecfier, value(new SynchronousCollection()));
+			container.register("foo.bar", value("baz"));
+
+			expect((await container.get("foo")).retrieve("bar")).to.equal("baz");
+		});
+
+		it("gets synchronously from a custom collection", async function () {
+			const myCollection = new SynchronousCollection();
+			myCollection.put("bar", "baz");
+
+			container.register(synchronousCollectionSpecfier, value(myCollection));
+
+			expect((await container.get("foo.bar"))).to.equal("baz");
+		});
+
+		it("sets asynchronously into a custom collection", async function () {
+			container.register(asynchronousCollectionSpecfier, value(new AsynchronousCollection()));
+			container.register("foo.bar", value("baz"));
+
+			const myCollection = await container.get("foo");
+			expect(await myCollection.retrieve("bar")).to.equal("baz");
+		});
+
+		it("gets asynchronously from a custom collection", async function () {
+			const myCollection = new AsynchronousCollection();
+			await myCollection.put("bar", "baz");
+
+			container.register(asynchronousCollectionSpecfier, value(myCollection));
+
+			expect(await container.get("foo.bar")).to.equal("baz");
+		});
+
+		it('replaces with a custom collection', async function () {
+			container.register("foo", value("bar"));
+			container.register(replacement(asynchronousCollectionSpecfier),
+					value(new AsynchronousCollection()));
+			container.register("foo.bar", value("baz"));
+
+			const myCollection = await container.get("foo");
+			expect(await myCollection.retrieve("bar")).to.equal("baz");
+		});
+
+	});
+
+	describe("starting", function () {
+
+		function delayed(log, name) {
+			return factory(async () => {
+				log.push(`start ${name}`);
+				await new Promise(resolve => setTimeout(resolve, 5));
+				log.push(`end ${name}`);
+				return name;
+			});
+		}
+
+		it("creates eager beans", async function () {
+			container.register(eager("foo"), constructor(ContainerTestBean));
+			container.register("bar", constructor(ContainerTestBean));
+
+			await container.start();
+
+			expect(container.describe().map(({ state }) => state))
+					.to.deep.equal(["created", "registered"]);
+		});
+
+		it("creates named beans and their dependencies", async function () {
+			container.register("foo", constructor(ContainerTestBean), "bar");
+			container.register("bar", constructor(ContainerTestBean));
+			container.register("baz", constructor(ContainerTestBean));
+
+			await container.start(["foo"]);
+
+			expect(ContainerTestBean.numberOfBeans).to.equal(2);
+		});
+
+		it("creates dependencies first with bounded concurrency", async function () {
+			const log = [];
+
+			container.register(eager("foo"), delayed(log, "foo"), "bar", "baz");
+			container.register("bar", delayed(log, "bar"));
+			container.register("baz", delayed(log, "baz"));
+
+			await container.start({ concurrency: 1 });
+
+			expect(log).to.deep.equal([
+				"start bar", "end bar", "start baz", "end baz", "start foo", "end foo"
+			]);
+		});
+
+		it("creates collection children within bounded concurrency", async function () {
+			const log = [];
+
+			container.register("foo", value({}));
+			container.register("foo.bar", delayed(log, "foo.bar"));
+			container.register("foo.baz", delayed(log, "foo.baz"));
+			container.register("qux", delayed(log, "qux"));
+
+			await container.start(["foo", "qux"], { concurrency: 1 });
+
+			expect(log).to.deep.equal([
+				"start foo.bar", "end foo.bar", "start foo.baz", "end foo.baz",
+				"start qux", "end qux"
+			]);
+			expect(Object.keys(await container.get("foo"))).to.deep.equal(["bar", "baz"]);
+		});
+
+		it("creates independent beans in parallel", async function () {
+			const log = [];
+
+			container.register(eager("foo"), delayed(log, "foo"));
+			container.register(eager("bar"), delayed(log, "bar"));
+
+			await container.start({ concurrency: 2 });
+
+			expect(log).to.deep.equal(["start foo", "start bar", "end foo", "end bar"]);
+		});
+
+		it("rejects with every failure", async function () {
+			container.register(eager("foo"), factory(() => { throw new Error("bummer"); }));
+			container.register(eager("bar"), factory(() => { throw new Error("oops"); }));
+			container.register(eager("baz"), constructor(ContainerTestBean));
+
+			await container.start().then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => {
+						expect(error).to.be.an.instanceOf(BeanError);
+						expect(error.errors.length).to.equal(2);
+						expect(error.errors[0].message).to.contain("bummer");
+						expect(error.errors[1].message).to.contain("oops");
+					}
+			);
+
+			expect(ContainerTestBean.numberOfBeans).to.equal(1);
+		});
+
+		it("rejects on cycle", async function () {
+			container.register(eager("foo"), constructor(ContainerTestBean), "bar");
+			container.register("bar", constructor(ContainerTestBean), "foo");
+
+			await container.start().then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => { expect(error).to.be.an.instanceOf(BeanError); }
+			);
+		});
+
+		it("rejects starting transient and request-scoped beans", async function () {
+			container.register(transient("foo"), constructor(ContainerTestBean));
+			container.register(requestScoped("bar"), constructor(ContainerTestBean));
+
+			for (const name of ["foo", "bar"]) {
+				await container.start([name]).then(
+						() => { throw new Error("promise resolved but expecting rejection"); },
+						(error) => {
+							expect(error).to.be.an.instanceOf(BeanError);
+							expect(error.message).to.contain(`request-scoped bean '${name}'`);
+						}
+				);
+			}
+
+			expect(ContainerTestBean.numberOfBeans).to.equal(0);
+		});
+
+		it("throws making replacement eager", function () {
+			expect(() => {
+				eager(replacement("foo"));
+			}).to.throw(BeanError);
+		});
+
+	});
+
+	describe("validation", function () {
+
+		function problemsOf(container) {
+			try {
+				container.validate();
+			} catch (error) {
+				expect(error).to.be.an.instanceOf(BeanError);
+				return error.problems.map(({ message }) => message);
+			}
+
+			return [];
+		}
+
+		it("accepts valid graph", function () {
+			container.register("foo", constructor(ContainerTestBean),
+					"bar", "baz.qux", promise("bar"));
+			container.register("bar", factory("baz.create"));
+			container.register("baz", value({}));
+			container.register("quux", "foo");
+
+			expect(problemsOf(container)).to.deep.equal([]);
+		});
+
+		it("does not create beans", function () {
+			container.register("foo", constructor(ContainerTestBean));
+
+			container.validate();
+
+			expect(ContainerTestBean.numberOfBeans).to.equal(0);
+		});
+
+		it("reports every missing dependency and alias target", function () {
+			container.register("foo", constructor(ContainerTestBean), "bar", promiser("baz"));
+			container.register("qux", constructor("quux"), "bar.corge");
+			container.register("grault", "garply");
+
+			expect(problemsOf(container)).to.deep.equal([
+				"bean 'foo' depends on 'bar', which is not registered",
+				"bean 'foo' depends on 'baz', which is not registered",
+				"bean 'qux' depends on 'bar.corge', which is not registered",
+				"bean 'qux' depends on 'quux', which is not registered",
+				"alias 'grault' refers to 'garply', which is not registered"
+			]);
+		});
+
+		it("accepts dependencies on created beans and beans in parent", async function () {
+			container.register("foo", value({}));
+			await container.get("foo");
+
+			const scope = container.createScope();
+			scope.register("bar", constructor(ContainerTestBean), "foo", "foo.baz");
+
+			expect(problemsOf(scope)).to.deep.equal([]);
+		});
+
+		it("reports synchronous cycles", function () {
+			container.register("foo", constructor(ContainerTestBean), "bar");
+			container.register("bar", constructor(ContainerTestBean), "baz.qux");
+			container.register("baz", constructor(ContainerTestBean), bound("foo.create"));
+			container.register("quux", constructor(ContainerTestBean), "quux");
+
+			expect(problemsOf(container)).to.deep.equal([
+				"dependency cycle: 'bar' -> 'baz' -> 'foo' -> 'bar'",
+				"dependency cycle: 'quux' -> 'quux'"
+			]);
+		});
+
+		it("reports cycles through collection children", function () {
+			container.register("foo", factory(() => ({})));
+			container.register("foo.bar", factory(() => "baz"), "foo");
+
+			expect(problemsOf(container)).to.deep.equal([
+				"dependency cycle: 'foo' -> 'foo.bar' -> 'foo'"
+			]);
+		});
+
+		it("does not report missing optional dependencies", function () {
+			container.register("foo", constructor(ContainerTestBean), optional("bar"));
+
+			expect(problemsOf(container)).to.deep.equal([]);
+		});
+
+		it("reports cycles through tagged injection", function () {
+			container.register(tag("foo", "qux"), constructor(ContainerTestBean), tagged("qux"));
+
+			expect(problemsOf(container)).to.deep.equal([
+				"dependency cycle: 'foo' -> 'foo'"
+			]);
+		});
+
+		it("accepts cycles with asynchronous injection", function () {
+			container.register("foo", constructor(ContainerTestBean), promise("bar"));
+			container.register("bar", constructor(ContainerTestBean), promiser("baz"));
+			container.register("baz", constructor(ContainerTestBean), lazy("qux"));
+			container.register("qux", constructor(ContainerTestBean), seeker("foo"));
+
+			expect(problemsOf(container)).to.deep.equal([]);
+		});
+
+	});
+
+	describe("post-processors", function () {
+
+		it("post-processes beans matching name", async function () {
+			container.postProcess("foo", (bean) => `${bean} processed`);
+
+			container.register("foo", value("foo"));
+			container.register("bar", value("bar"));
+
+			expect(await container.get("foo")).to.equal("foo processed");
+			expect(await container.get("bar")).to.equal("bar");
+		});
+
+		it("post-processes beans matching glob", async function () {
+			container.postProcess("*Client", (bean, name) => `${bean} processed as ${name}`);
+			container.postProcess("db?", (bean) => `${bean} also processed`);
+
+			container.register("httpClient", value("http"));
+			container.register("db1", value("db"));
+			container.register("db.Client", value("db.Client"));
+			container.register("db10", value("db10"));
+
+			expect(await container.get("httpClient")).to.equal("http processed as httpClient");
+			expect(await container.get("db1")).to.equal("db also processed");
+			expect(await container.get("db.Client")).to.equal("db.Client processed as db.Client");
+			expect(await container.get("db10")).to.equal("db10");
+		});
+
+		it("post-processes beans matching predicate", async function () {
+			container.postProcess((name) => name.startsWith("f"), (bean) => `${bean} processed`);
+
+			container.register("foo", value("foo"));
+			container.register("bar", value("bar"));
+
+			expect(await container.get("foo")).to.equal("foo processed");
+			expect(await container.get("bar")).to.equal("bar");
+		});
+
+		it("applies post-processors in order, asynchronously", async function () {
+			container.postProcess("*", async (bean) => `${bean} first`);
+			container.postProcess("*", (bean) => `${bean} second`);
+
+			container.register("foo", value("foo"));
+
+			expect(await container.get("foo")).to.equal("foo first second");
+		});
+
+		it("keeps bean when post-processor returns nothing", async function () {
+			container.postProcess("*", (bean) => { bean.processed = true; });
+
+			container.register("foo", factory(() => ({})));
+
+			expect(await container.get("foo")).to.deep.equal({ processed: true });
+		});
+
+		it("injects post-processed beans", async function () {
+			container.postProcess("bar", (bean) => `${bean} processed`);
+
+			container.register("foo", constructor(ContainerTestBean), "bar");
+			container.register("bar", value("bar"));
+
+			expect((await container.get("foo")).args).to.deep.equal(["bar processed"]);
+		});
+
+		it("does not post-process aliases again", async function () {
+			container.postProcess("*", (bean) => `${bean} processed`);
+
+			container.register("foo", value("foo"));
+			container.register("bar", "foo");
+
+			expect(await container.get("bar")).to.equal("foo processed");
+		});
+
+		it("post-processes beans created in scope", async function () {
+			container.postProcess("foo", (bean) => `${bean} processed`);
+
+			const scope = container.createScope();
+			scope.register("foo", value("foo"));
+
+			expect(await scope.get("foo")).to.equal("foo processed");
+		});
+
+		it("rejects when post-processor throws", async function () {
+			container.postProcess("foo", () => { throw new Error("bummer"); });
+
+			container.register("foo", value("foo"));
+
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => { expect(error.message).to.contain("bummer"); }
+			);
+		});
+
+		it("throws post-processing with invalid pattern", function () {
+			expect(() => {
+				container.postProcess(42, (bean) => bean);
+			}).to.throw(BeanError);
+		});
+
+	});
+
+	describe("events", function () {
+
+		it("emits registered and replaced events", function () {
+			const events = [];
+
+			container.on("registered", (event) => events.push(["registered", event]));
+			container.on("replaced", (event) => events.push(["replaced", event]));
+
+			container.register("foo", value("foo"));
+			container.register(replacement("foo", "bar"), value("baz"));
+
+			expect(events).to.deep.equal([
+				["registered", { name: "foo" }],
+				["replaced", { name: "foo", retainedName: "bar" }]
+			]);
+		});
+
+		it("emits creation events", async function () {
+			const events = [];
+
+			container.on("creating", ({ name }) => events.push(`creating ${name}`));
+			container.on("created", ({ name, bean, duration }) => {
+				expect(duration).to.be.a("number");
+				events.push(`created ${name} ${bean}`);
+			});
+
+			container.register("foo", factory((bar) => `foo${bar}`), "bar");
+			container.register("bar", value("bar"));
+
+			await container.get("foo");
+
+			expect(events).to.deep.equal([
+				"creating foo",
+				"creating bar",
+				"created bar bar",
+				"created foo foobar"
+			]);
+		});
+
+		it("emits failed events", async function () {
+			const events = [];
+
+			container.on("failed", ({ name, error }) => events.push([name, error.message]));
+
+			container.register("foo", factory(() => { throw new Error("bummer"); }));
+			container.register("bar", promise(Promise.reject(new Error("oops"))));
+
+			await container.get("foo").catch(() => {});
+			await container.get("bar").catch(() => {});
+
+			expect(events).to.deep.equal([
+				["foo", "while creating bean 'foo':\nError: bummer"],
+				["bar", "oops"]
+			]);
+		});
+
+		it("emits child set events", async function () {
+			const events = [];
+
+			container.on("childSet", (event) => events.push(event));
+
+			container.register("foo", factory(() => ({})));
+			container.register("foo.bar", value("baz"));
+
+			await container.get("foo");
+
+			container.register("foo.qux", value("quux"));
+
+			await container.get("foo");
+
+			expect(events).to.deep.equal([
+				{ name: "foo", property: "bar", bean: "baz" },
+				{ name: "foo", property: "qux", bean: "quux" }
+			]);
+		});
+
+		it("attaches listeners using options", async function () {
+			const events = [];
+
+			container = new Container({ on: { registered: ({ name }) => events.push(name) } });
+			container.register("foo", value("foo"));
+
+			expect(events).to.deep.equal(["foo"]);
+		});
+
+		it("detaches listeners", function () {
+			const events = [];
+			const listener = ({ name }) => events.push(name);
+
+			container.on("registered", listener);
+			container.register("foo", value("foo"));
+			container.off("registered", listener);
+			container.register("bar", value("bar"));
+
+			expect(events).to.deep.equal(["foo"]);
+		});
+
+		it("ignores errors thrown by listeners", async function () {
+			container.on("created", () => { throw new Error("bummer"); });
+			container.register("foo", value("foo"));
+
+			expect(await container.get("foo")).to.equal("foo");
+		});
+
+		it("throws listening to unknown event", function () {
+			expect(() => {
+				container.on("exploded", () => {});
+			}).to.throw(BeanError);
+		});
+
+	});
+
+	describe("graph introspection", function () {
+
+		it("describes registered beans", function () {
+			container.register("foo", constructor(ContainerTestBean), "bar", bound("baz.qux"),
+					value("quux"), promise("corge"), promiser("grault"), seeker("garply"));
+			container.register("bar", "baz");
+			container.register("baz", factory(() => ({})));
+			container.register("baz.qux", value(() => {}));
+
+			expect(container.describe()).to.deep.equal([
+				{
+					name: "foo",
+					creator: "constructor",
+					transient: false,
+					requestScoped: false,
+					tags: [],
+					dependencies: [
+						{ injector: "bean", name: "bar" },
+						{ injector: "bound", name: "baz.qux" },
+						{ injector: "value" },
+						{ injector: "promise", name: "corge" },
+						{ injector: "promiser", name: "grault" },
+						{ injector: "seeker", name: "garply" }
+					],
+					children: [],
+					state: "registered"
+				},
+				{
+					name: "bar",
+					creator: "alias",
+					transient: false,
+					requestScoped: false,
+					tags: [],
+					dependencies: [{ injector: "bean", name: "baz" }],
+					children: [],
+					state: "registered"
+				},
+				{
+					name: "baz",
+					creator: "factory",
+					transient: false,
+					requestScoped: false,
+					tags: [],
+					dependencies: [],
+					children: ["baz.qux"],
+					state: "registered"
+				},
+				{
+					name: "baz.qux",
+					creator: "value",
+					transient: false,
+					requestScoped: false,
+					tags: [],
+					dependencies: [],
+					children: [],
+					state: "registered"
+				}
+			]);
+		});
+
+		it("describes bean used as factory as bound dependency", function () {
+			container.register("foo", factory("bar.create"));
+
+			expect(container.describe()[0].dependencies)
+					.to.deep.equal([{ injector: "bound", name: "bar.create" }]);
+		});
+
+		it("describes states of beans", async function () {
+			let resolveBaz;
+			const baz = new Promise(resolve => { resolveBaz = resolve; });
+
+			container.register("foo", value("foo"));
+			container.register("bar", factory(() => { throw new Error("bummer"); }));
+			container.register("baz", factory(() => baz));
+			container.register("qux", value("qux"));
+
+			await container.get("foo");
+			await container.get("bar").catch(() => {});
+			const promisedBaz = container.get("baz");
+
+			expect(container.describe().map(({ name, state }) => [name, state])).to.deep.equal([
+				["foo", "created"],
+				["bar", "failed"],
+				["baz", "pending"],
+				["qux", "registered"]
+			]);
+
+			resolveBaz("baz");
+			await promisedBaz;
+
+			expect(container.describe()[2].state).to.equal("created");
+		});
+
+		it("retains children added after creation", async function () {
+			container.register("foo", value({}));
+
+			await container.get("foo");
+
+			container.register("foo.bar", value("baz"));
+
+			expect(container.describe()[0].children).to.deep.equal(["foo.bar"]);
+		});
+
+		it("describes tags and tagged injection", function () {
+			container.register("foo", constructor(ContainerTestBean), tagged("qux"));
+			container.register(tag("bar", "qux"), value("bar"));
+
+			const [foo, bar] = container.describe();
+
+			expect(foo.dependencies).to.deep.equal([{ injector: "tagged", tag: "qux" }]);
+			expect(bar.tags).to.deep.equal(["qux"]);
+			expect(container.exportGraph("dot"))
+					.to.contain('n0 -> n1 [label="tagged qux", style=dashed];');
+		});
+
+		it("exports graph as JSON", function () {
+			container.register("foo", factory(() => "foo"), "bar");
+			container.register("bar", value("bar"));
+
+			expect(JSON.parse(container.exportGraph("json"))).to.deep.equal(container.describe());
+		});
+
+		it("exports graph as DOT", function () {
+			container.register("foo", factory(() => "foo"), "bar", promise("b\"az"));
+			container.register("bar", value({}));
+			container.register("bar.qux", value("qux"));
+
+			expect(container.exportGraph("dot")).to.equal([
+				'digraph beans {',
+				'\tn0 [label="foo\\nfactory (registered)"];',
+				'\tn1 [label="bar\\nvalue (registered)"];',
+				'\tn2 [label="bar.qux\\nvalue (registered)"];',
+				'\tn3 [label="b\\"az"];',
+				'\tn0 -> n1;',
+				'\tn0 -> n3 [label="promise", style=dashed];',
+				'\tn1 -> n2 [label="child", style=dashed];',
+				'}',
+				''
+			].join("\n"));
+		});
+
+		it("exports graph as Mermaid", function () {
+			container.register("foo", factory(() => "foo"), "bar", promise("baz"));
+			container.register("bar", value("bar"));
+
+			expect(container.exportGraph("mermaid")).to.equal([
+				'graph TD',
+				'\tn0["foo<br/>factory (registered)"]',
+				'\tn1["bar<br/>value (registered)"]',
+				'\tn2["baz"]',
+				'\tn0 --> n1',
+				'\tn0 -. promise .-> n2',
+				''
+			].join("\n"));
+		});
+
+		it("throws exporting graph in unknown format", function () {
+			expect(() => {
+				container.exportGraph("svg");
+			}).to.throw(BeanError);
+		});
+
+	});
+
+	describe("profiling", function () {
+
+		const delayed = (milliseconds, bean) => () => new Promise(resolve => {
+			setTimeout(() => resolve(bean), milliseconds);
+		});
+
+		beforeEach(async function () {
+			container.register("foo", factory(delayed(30, "foo")));
+			container.register("bar", factory(delayed(1, "bar")));
+			container.register("baz", factory(delayed(10, "baz")), "foo", "bar");
+			container.register("qux", factory(delayed(1, "qux")), "baz");
+
+			await container.get("qux");
+		});
+
+		it("records time waiting for dependencies and creating", function () {
+			const beans = new Map(container.profile().beans.map(bean => [bean.name, bean]));
+
+			expect(beans.get("foo").creating).to.be.at.least(25);
+			expect(beans.get("baz").waiting).to.be.at.least(beans.get("foo").creating);
+			expect(beans.get("baz").creating).to.be.at.least(5)
+			.and.below(beans.get("foo").creating);
+			expect(beans.get("qux").start).to.equal(0);
+			expect(beans.get("qux").end).to.be.at.least(beans.get("baz").end);
+			expect(beans.get("qux").failed).to.equal(false);
+		});
+
+		it("sorts beans by time creating", function () {
+			expect(container.profile().beans.map(({ name }) => name).slice(0, 2))
+			.to.deep.equal(["foo", "baz"]);
+		});
+
+		it("finds critical path", function () {
+			expect(container.profile().criticalPath).to.deep.equal(["foo", "baz", "qux"]);
+		});
+
+		it("marks failed beans", async function () {
+			container.register("quux", factory(() => { throw new Error("failed"); }));
+			await container.get("quux").catch(() => {});
+
+			expect(container.profile().beans.find(({ name }) => name === "quux").failed)
+			.to.equal(true);
+		});
+
+		it("exports table", function () {
+			const lines = container.exportProfile().split("\n");
+
+			expect(lines[0]).to.match(/^bean +start +waiting +creating +end$/);
+			expect(lines[1]).to.match(/^\* foo +\d+\.\d +\d+\.\d +\d+\.\d +\d+\.\d$/);
+			expect(lines.slice(-1)[0]).to.equal("times in milliseconds; " +
+					"* marks the critical path: 'foo' -> 'baz' -> 'qux'");
+		});
+
+		it("exports Chrome trace events", function () {
+			const { traceEvents } = JSON.parse(container.exportProfile("trace"));
+
+			const threadNames = traceEvents.filter(event => event.ph === "M")
+			.map(event => event.args.name);
+			expect(threadNames).to.have.members(["foo", "bar", "baz", "qux"]);
+
+			const baz = traceEvents.find(event => event.cat === "bean" && event.name === "baz");
+			const parts = traceEvents
+			.filter(event => event.tid === baz.tid && event.cat !== "bean");
+			expect(baz).to.include({ ph: "X", pid: 1 });
+			expect(baz.args).to.deep.equal({ critical: true, failed: false });
+			expect(parts.map(({ name }) => name))
+			.to.deep.equal(["thread_name", "waiting", "creating"]);
+			expect(parts[1].ts).to.equal(baz.ts);
+			expect(parts[2].dur).to.be.at.least(5000);
+		});
+
+		it("throws exporting unknown format", function () {
+			expect(() => {
+				container.exportProfile("csv");
+			}).to.throw(BeanError, "unknown profile format 'csv'");
+		});
+
+		it("profiles nothing before beans are created", function () {
+			expect(new Container().profile()).to.deep.equal({ beans: [], criticalPath: [] });
+		});
+
+	});
+
+	describe("configuration", function () {
+
+		const fixtures = fixtureDirectory();
+
+		it("registers plain object as config collection", async function () {
+			container.register("foo", constructor(ContainerTestBean),
+					"config.db.host", "config[db][port]");
+			container.registerConfig({ db: { host: "localhost", port: 5432 } });
+
+			expect((await container.get("foo")).args).to.deep.equal(["localhost", 5432]);
+		});
+
+		it("injects optional default for missing config property", async function () {
+			container.register("foo", constructor(ContainerTestBean),
+					"config.db.host", optional("config.db.port", 5432));
+			container.registerConfig({ db: { host: "localhost" } });
+
+			expect((await container.get("foo")).args).to.deep.equal(["localhost", 5432]);
+		});
+
+		it("does not change or share config sources", async function () {
+			const source = { db: { port: "5432" }, hosts: [{ name: "a" }] };
+			container.registerConfig(source, { types: { "db.port": "number" } });
+
+			const config = await container.get("config");
+
+			expect(config.db.port).to.equal(5432);
+			expect(source.db.port).to.equal("5432");
+			expect(config.hosts).to.deep.equal(source.hosts);
+			expect(config.hosts).to.not.equal(source.hosts);
+			expect(config.hosts[0]).to.not.equal(source.hosts[0]);
+		});
+
+		it("registers config with given name", async function () {
+			container.registerConfig({ foo: "bar" }, { name: "settings" });
+
+			expect(await container.get("settings.foo")).to.equal("bar");
+		});
+
+		it("loads JSON file", async function () {
+			const file = fixtures.write("config.json",
+					JSON.stringify({ db: { host: "db.example.com" } }));
+
+			container.registerConfig(configFile(file));
+
+			expect(await container.get("config.db.host")).to.equal("db.example.com");
+		});
+
+		it("throws loading missing or invalid JSON file", function () {
+			const file = fixtures.write("invalid.json", "{");
+
+			expect(() => {
+				container.registerConfig(configFile(path.join(fixtures.directory, "missing.json")));
+			}).to.throw(BeanError);
+			expect(() => {
+				container.registerConfig(configFile(file));
+			}).to.throw(BeanError);
+		});
+
+		it("loads environment variables with prefix and separator", async function () {
+			container.registerConfig(configEnv({
+				APP_DB__HOST: "localhost",
+				APP_DB__MAX_POOL_SIZE: "10",
+				APP_DEBUG: "true",
+				OTHER: "ignored"
+			}, { prefix: "APP_" }));
+
+			expect(await container.get("config")).to.deep.equal({
+				db: { host: "localhost", maxPoolSize: "10" },
+				debug: "true"
+			});
+		});
+
+		it("overrides layers in order", async function () {
+			const file = fixtures.write("layer.json",
+					JSON.stringify({ db: { host: "file", port: 1 } }));
+
+			container.registerConfig([
+				{ db: { host: "default", port: 0, user: "admin" }, debug: false },
+				configFile(file),
+				configEnv({ APP_DB__HOST: "env" }, { prefix: "APP_" })
+			]);
+
+			expect(await container.get("config")).to.deep.equal({
+				db: { host: "env", port: 1, user: "admin" },
+				debug: false
+			});
+		});
+
+		it("coerces types", async function () {
+			container.registerConfig(configEnv({
+				APP_PORT: "8080",
+				APP_DEBUG: "yes",
+				APP_HOSTS: '["a","b"]',
+				APP_NAME: "app"
+			}, { prefix: "APP_" }), {
+				types: {
+					port: "number",
+					debug: "boolean",
+					hosts: "json",
+					name: "string",
+					missing: "number"
+				}
+			});
+
+			expect(await container.get("config")).to.deep.equal({
+				port: 8080,
+				debug: true,
+				hosts: ["a", "b"],
+				name: "app"
+			});
+		});
+
+		it("throws coercing invalid values", function () {
+			expect(() => {
+				container.registerConfig({ port: "eighty" }, { types: { port: "number" } });
+			}).to.throw(BeanError, "configuration 'port' must be a number");
+		});
+
+		it("throws for missing required keys", function () {
+			expect(() => {
+				container.registerConfig({ db: { host: "localhost" } }, {
+					required: ["db.host", "db.port", "debug"]
+				});
+			}).to.throw(BeanError,
+					"missing required configuration for 'config': 'db.port', 'debug'");
+		});
+
+		it("throws registering invalid source", function () {
+			expect(() => {
+				container.registerConfig("config.json");
+			}).to.throw(BeanError);
+		});
+
+	});
+
+	describe("manifests", function () {
+
+		const fixtures = fixtureDirectory();
+
+		before(function () {
+			fixtures.write("beans.js", `
+				exports.Greeter = class Greeter {
+					constructor(greeting, name) {
+						this.message = greeting + " " + name;
+					}
+				};
+				exports.createName = (first, last) => first + " " + last;
+			`);
+			fixtures.write("single.js", `
+				module.exports = () => "single";
+			`);
+			fixtures.write("manifest.json", JSON.stringify({
+				greeter: {
+					constructor: { module: "./beans", export: "Greeter" },
+					dependencies: [{ value: "hello" }, "name"]
+				},
+				name: {
+					factory: { module: "./beans", export: "createName" },
+					dependencies: ["first", { optional: "last", default: "Smith" }]
+				},
+				first: { value: "Jo" },
+				single: { factory: { module: "./single" } }
+			}));
+			fixtures.write("node_modules/manifest-package/index.js", `
+				module.exports = () => "packaged";
+			`);
+			fixtures.write("broken.js", `
+				throw new Error("broken");
+			`);
+			fixtures.write("invalid.json", JSON.stringify({
+				foo: { value: "foo" },
+				bar: { factory: { module: "./beans", export: "missing" } }
+			}));
+		});
+
+		it("registers beans from manifest file", async function () {
+			container.registerManifest(path.join(fixtures.directory, "manifest.json"));
+
+			expect((await container.get("greeter")).message).to.equal("hello Jo Smith");
+			expect(await container.get("single")).to.equal("single");
+		});
+
+		it("registers beans from manifest object", async function () {
+			container.registerManifest({
+				foo: {
+					constructor: "Bean",
+					dependencies: [{ promise: "bar" }, { bound: "baz.qux" }]
+				},
+				Bean: { value: ContainerTestBean },
+				bar: { alias: "quux" },
+				baz: {
+					factory: (quux) => ({ qux() { return this.quux; }, quux }),
+					dependencies: ["quux"]
+				},
+				quux: { value: "quux" }
+			});
+
+			const foo = await container.get("foo");
+
+			expect(await foo.args[0]).to.equal("quux");
+			expect(foo.args[1]()).to.equal("quux");
+		});
+
+		it("resolves modules relative to basedir", async function () {
+			container.registerManifest({
+				single: { factory: { module: "./single" } }
+			}, { basedir: fixtures.directory });
+
+			expect(await container.get("single")).to.equal("single");
+		});
+
+		it("resolves packages from basedir", async function () {
+			container.registerManifest({
+				packaged: { factory: { module: "manifest-package" } }
+			}, { basedir: fixtures.directory });
+
+			expect(await container.get("packaged")).to.equal("packaged");
+		});
+
+		it("throws for manifest module which cannot be loaded", function () {
+			const file = path.join(fixtures.directory, "broken.js");
+
+			expect(() => {
+				container.registerManifest(file);
+			}).to.throw(BeanError, `cannot load manifest '${file}': broken`)
+					.with.property("code", "INVALID_MANIFEST");
+		});
+
+		it("registers with specifier options", async function () {
+			container.registerManifest({
+				foo: { factory: () => new ContainerTestBean(), transient: true, tags: ["bar"] },
+				baz: { value: "baz", eager: true }
+			});
+
+			expect(await container.get("foo")).to.not.equal(await container.get("foo"));
+			expect(container.describe().map(({ name, transient, tags }) => [name, transient, tags]))
+					.to.deep.equal([["foo", true, ["bar"]], ["baz", false, []]]);
+
+			await container.start();
+
+			expect(container.describe()[1].state).to.equal("created");
+		});
+
+		it("replaces beans", async function () {
+			container.register("foo", value("foo"));
+
+			container.registerManifest({
+				foo: {
+					factory: (original) => `${original}bar`,
+					dependencies: ["original"],
+					replace: "original"
+				}
+			});
+
+			expect(await container.get("foo")).to.equal("foobar");
+		});
+
+		it("throws pointing to manifest entry", function () {
+			const file = path.join(fixtures.directory, "invalid.json");
+
+			expect(() => {
+				container.registerManifest(file);
+			}).to.throw(BeanError, `in entry 'bar' of manifest '${file}'`);
+		});
+
+		it("throws for entry without exactly one creator", function () {
+			expect(() => {
+				container.registerManifest({ foo: { value: "foo", alias: "bar" } });
+			}).to.throw(BeanError, "in entry 'foo' of manifest");
+			expect(() => {
+				container.registerManifest({ foo: { dependencies: [] } });
+			}).to.throw(BeanError, "in entry 'foo' of manifest");
+		});
+
+		it("throws for invalid dependency", function () {
+			expect(() => {
+				container.registerManifest({
+					foo: { factory: () => "foo", dependencies: [{ bar: "baz" }] }
+				});
+			}).to.throw(BeanError, "in entry 'foo' of manifest");
+		});
+
+	});
+
+	describe("scanning", function () {
+
+		const fixtures = fixtureDirectory({ each: true });
+
+		it("registers class with static metadata", async function () {
+			fixtures.write("greeter.js", `
+				module.exports = class Greeter {
+					constructor(name) {
+						this.message = "hello " + name;
+					}
+				};
+				module.exports.register = { name: "greeter", dependencies: ["name"] };
+			`);
+			fixtures.write("name.js", `
+				exports.register = { name: "name", value: "Jo" };
+			`);
+
+			container.scan(fixtures.directory);
+
+			expect((await container.get("greeter")).message).to.equal("hello Jo");
+		});
+
+		it("registers named exports with static metadata", async function () {
+			fixtures.write("beans.js", `
+				exports.Foo = class Foo {};
+				exports.Foo.register = { name: "foo" };
+				exports.createBar = (foo) => ({ foo });
+				exports.createBar.register = {
+					name: "bar",
+					factory: exports.createBar,
+					dependencies: ["foo"]
+				};
+				exports.unregistered = () => "baz";
+			`);
+
+			container.scan(fixtures.directory);
+
+			const bar = await container.get("bar");
+			expect(bar.foo.constructor.name).to.equal("Foo");
+			expect(container.describe().map(({ name }) => name)).to.have.members(["foo", "bar"]);
+		});
+
+		it("registers array of metadata", async function () {
+			fixtures.write("beans.js", `
+				exports.register = [
+					{ name: "foo", value: "bar" },
+					{ name: "baz", alias: "foo", tags: ["qux"] }
+				];
+			`);
+
+			container.scan(fixtures.directory);
+
+			expect(await container.get("baz")).to.equal("bar");
+			expect(container.describe().find(({ name }) => name === "baz").tags)
+			.to.deep.equal(["qux"]);
+		});
+
+		it("scans subdirectories", async function () {
+			fixtures.write("a/b/foo.js", `exports.register = { name: "foo", value: "bar" };`);
+
+			container.scan(fixtures.directory);
+
+			expect(await container.get("foo")).to.equal("bar");
+		});
+
+		it("does not scan subdirectories when not recursive", function () {
+			fixtures.write("a/foo.js", `exports.register = { name: "foo", value: "bar" };`);
+
+			container.scan(fixtures.directory, { recursive: false });
+
+			expect(container.describe()).to.deep.equal([]);
+		});
+
+		it("only scans files with extensions", async function () {
+			fixtures.write("foo.js", `exports.register = { name: "foo", value: "foo" };`);
+			fixtures.write("bar.beans.js", `exports.register = { name: "bar", value: "bar" };`);
+			fixtures.write("baz.txt", `not javascript`);
+
+			container.scan(fixtures.directory, { extensions: [".js"] });
+
+			expect(container.describe().map(({ name }) => name)).to.have.members(["bar", "foo"]);
+		});
+
+		it("resolves modules relative to scanned module", async function () {
+			fixtures.write("lib/create-foo.js", `module.exports = () => "foo";`);
+			fixtures.write("beans/foo.js", `
+				exports.register = { name: "foo", factory: { module: "../lib/create-foo" } };
+			`);
+
+			container.scan(fixtures.directory);
+
+			expect(await container.get("foo")).to.equal("foo");
+		});
+
+		it("ignores modules without metadata", function () {
+			fixtures.write("foo.js", `module.exports = { foo: "bar" };`);
+			fixtures.write("bar.js", `module.exports = "bar";`);
+
+			container.scan(fixtures.directory);
+
+			expect(container.describe()).to.deep.equal([]);
+		});
+
+		it("ignores modules exporting register functions", async function () {
+			fixtures.write("a.js", `exports.register = (container) => container.register("foo");`);
+			fixtures.write("b.js", `exports.register = { name: "bar", value: "bar" };`);
+
+			container.scan(fixtures.directory);
+
+			expect(container.describe().map(({ name }) => name)).to.deep.equal(["bar"]);
+		});
+
+		it("throws for name collision naming both modules", function () {
+			const first = fixtures.write("a.js", `exports.register = { name: "foo", value: "a" };`);
+			const second = fixtures.write("b.js",
+					`exports.register = { name: "foo", value: "b" };`);
+
+			expect(() => {
+				container.scan(fixtures.directory);
+			}).to.throw(BeanError, `in module '${second}':\n` +
+					`BeanError: 'foo' already registered in module '${first}'`);
+		});
+
+		it("allows replacement of scanned bean", async function () {
+			fixtures.write("a.js", `exports.register = { name: "foo", value: "a" };`);
+			fixtures.write("b.js",
+					`exports.register = { name: "foo", value: "b", replace: true };`);
+
+			container.scan(fixtures.directory);
+
+			expect(await container.get("foo")).to.equal("b");
+		});
+
+		it("throws for collision with registered bean", function () {
+			const file = fixtures.write("a.js", `exports.register = { name: "foo", value: "a" };`);
+			container.register("foo", value("bar"));
+
+			expect(() => {
+				container.scan(fixtures.directory);
+			}).to.throw(BeanError, `in module '${file}':\nBeanError: 'foo' already registered`);
+		});
+
+		it("throws for metadata without name", function () {
+			fixtures.write("a.js", `exports.register = { value: "a" };`);
+
+			expect(() => {
+				container.scan(fixtures.directory);
+			}).to.throw(BeanError, "registration metadata must be an object with a 'name'");
+		});
+
+		it("throws for missing directory", function () {
+			expect(() => {
+				container.scan(path.join(fixtures.directory, "missing"));
+			}).to.throw(BeanError, "cannot scan directory");
+		});
+
+	});
+
+	describe("hot replacement", function () {
+
+		it("recreates dependants of replaced bean", async function () {
+			container.register("foo", value("foo"));
+			container.register("bar", constructor(ContainerTestBean), "foo");
+			container.register("baz", constructor(ContainerTestBean), promise("bar"));
+			container.register("qux", constructor(ContainerTestBean));
+
+			const originalBaz = await container.get("baz");
+			const originalQux = await container.get("qux");
+
+			container.register(replacement("foo"), value("quux"));
+
+			const baz = await container.get("baz");
+			expect(baz).to.not.equal(originalBaz);
+			expect((await baz.args[0]).args).to.deep.equal(["quux"]);
+			expect(await container.get("qux")).to.equal(originalQux);
+		});
+
+		it("recreates dependants of property of replaced bean", async function () {
+			container.register("foo", value({ bar: "baz" }));
+			container.register("qux", constructor(ContainerTestBean), "foo.bar");
+			await container.get("qux");
+
+			container.register(replacement("foo"), value({ bar: "quux" }));
+
+			expect((await container.get("qux")).args).to.deep.equal(["quux"]);
+		});
+
+		it("does not recreate dependants in child containers", async function () {
+			container.register("foo", value("foo"));
+			container.register("bar", constructor(ContainerTestBean), "foo");
+
+			const scope = container.createScope();
+			scope.register("baz", constructor(ContainerTestBean), "foo");
+			await scope.get("baz");
+
+			container.register(replacement("foo"), value("quux"));
+
+			expect((await container.get("bar")).args).to.deep.equal(["quux"]);
+			expect((await scope.get("baz")).args).to.deep.equal(["foo"]);
+
+			const newScope = container.createScope();
+			newScope.register("baz", constructor(ContainerTestBean), "foo");
+			expect((await newScope.get("baz")).args).to.deep.equal(["quux"]);
+		});
+
+		it("recreates parent of replaced child bean", async function () {
+			container.register("foo", constructor(Object));
+			container.register("foo.bar", value("baz"));
+			await container.get("foo");
+
+			container.register(replacement("foo.bar"), value("qux"));
+
+			expect(await container.get("foo")).to.deep.equal({ bar: "qux" });
+		});
+
+		it("recreates dependants of tagged beans", async function () {
+			container.register(tag("foo", "qux"), value("foo"));
+			container.register("bar", value("bar"));
+			container.register("baz", factory(beans => beans.sort()), tagged("qux"));
+			expect(await container.get("baz")).to.deep.equal(["foo"]);
+
+			container.register(replacement(tag("bar", "qux")), value("bar"));
+
+			expect(await container.get("baz")).to.deep.equal(["bar", "foo"]);
+		});
+
+		it("disposes evicted beans in reverse creation order before recreating", async function () {
+			const events = [];
+			const disposable = (name) => ({ dispose: () => events.push(`dispose ${name}`) });
+
+			container.register("foo", factory(() => disposable("foo")));
+			container.register("bar", factory(() => disposable("bar")), "foo");
+			container.on("creating", ({ name }) => events.push(`create ${name}`));
+			container.on("evicted", ({ name }) => events.push(`evicted ${name}`));
+			await container.get("bar");
+
+			container.register(replacement("foo"), factory(() => disposable("foo2")));
+			await container.get("bar");
+
+			expect(events).to.deep.equal([
+				"create bar", "create foo",
+				"dispose bar", "evicted bar", "dispose foo", "evicted foo",
+				"create bar", "create foo"
+			]);
+		});
+
+		it("reports errors disposing evicted beans", async function () {
+			const error = new Error("cannot close");
+			const evicted = [];
+
+			container.register("foo", factory(() => ({ close() { throw error; } })));
+			container.on("evicted", details => evicted.push(details));
+			await container.get("foo");
+
+			container.register(replacement("foo"), value("bar"));
+
+			expect(await container.get("foo")).to.equal("bar");
+			expect(evicted).to.deep.equal([{ name: "foo", error }]);
+		});
+
+		it("replaces failed bean", async function () {
+			container.register("foo", factory(() => { throw new Error("failed"); }));
+			container.register("bar", constructor(ContainerTestBean), "foo");
+			await container.get("bar").then(() => {
+				throw new Error("promise resolved but expecting rejection");
+			}, () => {});
+
+			container.register(replacement("foo"), value("baz"));
+
+			expect((await container.get("bar")).args).to.deep.equal(["baz"]);
+		});
+
+		it("recreates retained registration", async function () {
+			container.register("foo", constructor(ContainerTestBean));
+			const original = await container.get("foo");
+
+			container.register(replacement("foo", "original"), factory(original => ({ original })),
+					"original");
+
+			const foo = await container.get("foo");
+			expect(foo.original).to.be.an.instanceof(ContainerTestBean);
+			expect(foo.original).to.not.equal(original);
+		});
+
+		it("describes evicted beans as registered", async function () {
+			container.register("foo", value("foo"));
+			container.register("bar", constructor(ContainerTestBean), "foo");
+			await container.get("bar");
+
+			container.register(replacement("foo"), value("baz"));
+
+			expect(container.describe().map(({ name, state }) => [name, state])).to.deep.equal([
+				["foo", "registered"],
+				["bar", "registered"]
+			]);
+		});
+
+		it("throws replacing bean with pending dependant", async function () {
+			container.register("foo", value("foo"));
+			container.register("bar", factory(async (foo) => {
+				expect(() => {
+					container.register(replacement("foo"), value("baz"));
+				}).to.throw(BeanError, "cannot replace bean 'foo' while 'bar' is being created");
+
+				return foo;
+			}), "foo");
+
+			expect(await container.get("bar")).to.equal("foo");
+		});
+
+	});
+
+	describe("forking", function () {
+
+		it("copies registrations", async function () {
+			container.register("foo", constructor(ContainerTestBean), "bar");
+			container.register("bar", value("baz"));
+
+			const fork = container.fork();
+
+			expect((await fork.get("foo")).args).to.deep.equal(["baz"]);
+		});
+
+		it("does not share created beans", async function () {
+			container.register("foo", constructor(ContainerTestBean));
+			const bean = await container.get("foo");
+
+			const fork = container.fork();
+
+			expect(await fork.get("foo")).to.not.equal(bean);
+			expect(ContainerTestBean.numberOfBeans).to.equal(2);
+		});
+
+		it("allows replacement of bean created in original", async function () {
+			container.register("foo", constructor(ContainerTestBean), "bar");
+			container.register("bar", value("baz"));
+			await container.get("foo");
+
+			const fork = container.fork();
+			fork.register(replacement("bar"), value("qux"));
+
+			expect((await fork.get("foo")).args).to.deep.equal(["qux"]);
+			expect((await container.get("foo")).args).to.deep.equal(["baz"]);
+		});
+
+		it("does not share registrations", async function () {
+			container.register("foo", value("bar"));
+
+			const fork = container.fork();
+			fork.register("baz", value("qux"));
+			container.register("quux", value("corge"));
+
+			expect(fork.describe().map(({ name }) => name)).to.deep.equal(["foo", "baz"]);
+			expect(container.describe().map(({ name }) => name)).to.deep.equal(["foo", "quux"]);
+		});
+
+		it("copies beans registered using dot notation", async function () {
+			container.register("foo", value({}));
+			await container.get("foo");
+			container.register("foo.bar", value("baz"));
+
+			const fork = container.fork();
+
+			expect(await fork.get("foo")).to.deep.equal({ bar: "baz" });
+		});
+
+		it("copies retained replacements", async function () {
+			container.register("foo", value("bar"));
+			container.register(replacement("foo", "original"),
+					factory(original => `${original}baz`), "original");
+			await container.get("foo");
+
+			const fork = container.fork();
+
+			expect(await fork.get("foo")).to.equal("barbaz");
+		});
+
+		it("copies post-processors and listeners", async function () {
+			const created = [];
+			container.on("created", ({ name }) => created.push(name));
+			container.postProcess("foo", bean => `${bean}!`);
+			container.register("foo", factory(() => "bar"));
+
+			const fork = container.fork();
+
+			expect(await fork.get("foo")).to.equal("bar!");
+			expect(created).to.deep.equal(["foo"]);
+		});
+
+		it("keeps parent of scope", async function () {
+			container.register("foo", value("bar"));
+
+			const fork = container.createScope().fork();
+
+			expect(await fork.get("foo")).to.equal("bar");
+		});
+
+	});
+
+	describe("scopes", function () {
+
+		it("gets bean from parent", async function () {
+			container.register("foo", value("bar"));
+
+			const scope = container.createScope();
+
+			expect(await scope.get("foo")).to.equal("bar");
+		});
+
+		it("shares singletons with parent", async function () {
+			container.register("foo", constructor(ContainerTestBean));
+
+			const scope = container.createScope();
+
+			expect(await scope.get("foo")).to.equal(await container.get("foo"));
+			expect(ContainerTestBean.numberOfBeans).to.equal(1);
+		});
+
+		it("shadows bean in parent", async function () {
+			container.register("foo", value("bar"));
+
+			const scope = container.createScope();
+			scope.register("foo", value("baz"));
+
+			expect(await scope.get("foo")).to.equal("baz");
+			expect(await container.get("foo")).to.equal("bar");
+		});
+
+		it("injects beans from parent", async function () {
+			container.register("foo", value("bar"));
+
+			const scope = container.createScope();
+			scope.register("baz", constructor(ContainerTestBean), "foo");
+
+			expect((await scope.get("baz")).args).to.deep.equal(["bar"]);
+		});
+
+		it("gets property of bean in parent", async function () {
+			container.register("foo", value({ bar: "baz" }));
+
+			const scope = container.createScope();
+
+			expect(await scope.get("foo.bar")).to.equal("baz");
+		});
+
+		it("gets bean from grandparent", async function () {
+			container.register("foo", value("bar"));
+
+			const scope = container.createScope().createScope();
+
+			expect(await scope.get("foo")).to.equal("bar");
+		});
+
+		it("seeks bean in parent", async function () {
+			container.register("foo", value("bar"));
+			await container.get("foo");
+
+			const scope = container.createScope();
+			scope.register("baz", constructor(ContainerTestBean), seeker("foo"));
+
+			expect((await scope.get("baz")).args[0]()).to.equal("bar");
+		});
+
+		it("does not make beans of child available to parent", async function () {
+			const scope = container.createScope();
+			scope.register("foo", value("bar"));
+
+			await container.get("foo").then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => { expect(error).to.be.an.instanceOf(BeanError); }
+			);
+		});
+
+		it("disposes only beans created by child", async function () {
+			const log = [];
+
+			container.register("foo", resource(() => "foo", (bean) => log.push(bean)));
 
-			// We don't expect this one to have the "bar" property because it was retrieved
-			// before "foo" was created.
-			expect((await container.get("foo")).bar).to.be.undefined;
-			expect((await promise2).bar).to.equal("baz");
+			const scope = container.createScope();
+			scope.register("bar", resource((foo) => "bar", (bean) => log.push(bean)), "foo");
+
+			await scope.get("bar");
+			await scope.dispose();
+
+			expect(log).to.deep.equal(["bar"]);
+
+			await container.dispose();
+
+			expect(log).to.deep.equal(["bar", "foo"]);
 		});
 
-		it("adds property to uncreated collection with bracket notation", async function () {
-			container.register("foo", factory(() => ({})));
-			container.register("foo[bar]", value("baz"));
+	});
 
-			expect((await container.get("foo")).bar).to.equal("baz");
+	describe("request scopes", function () {
+
+		it("creates bean once per scope", async function () {
+			container.register(requestScoped("foo"), constructor(ContainerTestBean));
+
+			const [first, second] = await container.runInScope(async () => [
+				await container.get("foo"),
+				await container.get("foo")
+			]);
+			const third = await container.runInScope(() => container.get("foo"));
+
+			expect(first).to.equal(second);
+			expect(third).to.not.equal(first);
+			expect(ContainerTestBean.numberOfBeans).to.equal(2);
 		});
 
-		it("does not add property to unknown collection", async function () {
-			container.register("foo.bar", value("baz"));
-			container.register("foo", value({}));
+		it("gets bean in current scope from asynchronous code", async function () {
+			container.register(requestScoped("foo"), constructor(ContainerTestBean));
 
-			expect((await container.get("foo")).bar).to.be.undefined;
+			const [first, second] = await container.runInScope(async () => {
+				const first = await container.get("foo");
+				await new Promise(resolve => setTimeout(resolve, 1));
+				return [first, await new Promise(resolve => {
+					setImmediate(() => resolve(container.get("foo")));
+				})];
+			});
+
+			expect(first).to.equal(second);
 		});
 
-		it("rejects when created collection is retrieved again on property error",
-				async function () {
-			container.register("foo", value({}));
+		it("isolates concurrent scopes", async function () {
+			let count = 0;
+			container.register(requestScoped("foo"), factory(() => ++count));
 
-			await container.get("foo");
+			const inScope = () => container.runInScope(async () => {
+				const first = await container.get("foo");
+				await new Promise(resolve => setTimeout(resolve, 1));
+				return [first, await container.get("foo")];
+			});
 
-			container.register("foo.bar", factory(() => { throw new Error("bummer"); }));
+			expect(await Promise.all([inScope(), inScope()])).to.deep.equal([[1, 1], [2, 2]]);
+		});
 
-			await container.get("foo").then(
-					() => { throw new Error("promise resolved but expecting rejection"); },
-					(error) => { expect(error.message).to.contain("bummer"); }
-			);
+		it("injects singletons and request-scoped beans", async function () {
+			container.register("foo", value("foo"));
+			container.register(requestScoped("bar"), constructor(ContainerTestBean), "foo");
+			container.register(requestScoped("baz"), constructor(ContainerTestBean), "bar", "foo");
+
+			const baz = await container.runInScope(() => container.get("baz"));
+
+			expect(baz.args[0].args).to.deep.equal(["foo"]);
+			expect(baz.args[1]).to.equal("foo");
 		});
 
-		it("rejects when uncreated collection is created on property error",
-				async function () {
-			container.register("foo", factory(() => ({})));
-			container.register("foo.bar", factory(() => { throw new Error("bummer"); }));
+		it("injects request-scoped beans in singletons using promiser", async function () {
+			let count = 0;
+			container.register(requestScoped("foo"), factory(() => ++count));
+			container.register("bar", constructor(ContainerTestBean), promiser("foo"));
 
-			await container.get("foo").then(
-					() => { throw new Error("promise resolved but expecting rejection"); },
-					(error) => { expect(error.message).to.contain("bummer"); }
-			);
+			const bar = await container.get("bar");
+
+			expect(await container.runInScope(() => bar.args[0]())).to.equal(1);
+			expect(await container.runInScope(() => bar.args[0]())).to.equal(2);
 		});
 
-		it('retains replaced collection', async function () {
-			container.register("foo", value({}));
-			container.register("foo.bar", value("baz"));
-			container.register(replacement("foo", "original"), value("new"));
+		it("throws injecting request-scoped bean in singleton", async function () {
+			container.register(requestScoped("foo"), constructor(ContainerTestBean));
+			container.register("bar", constructor(ContainerTestBean), "foo");
 
-			expect((await container.get("original")).bar).to.equal("baz");
-			expect(await container.get("foo")).to.equal("new");
+			await container.runInScope(() => container.get("bar")).then(() => {
+				throw new Error("promise resolved but expecting rejection");
+			}, (error) => {
+				expect(error.message).to.contain("singleton bean 'bar' cannot depend on " +
+						"request-scoped bean 'foo'");
+			});
 		});
 
-		it('retains replaced bean in a collection', async function () {
-			container.register("foo", value({}));
-			container.register("original", value({}));
-			container.register("foo.bar", value("baz"));
-			container.register(replacement("foo.bar", "original.bar"), value("qux"));
+		it("throws injecting tagged request-scoped bean in singleton", async function () {
+			let count = 0;
+			container.register(tag(requestScoped("user"), "context"),
+					factory(() => ({ id: ++count })));
+			container.register("handler", constructor(ContainerTestBean), tagged("context"));
+
+			await container.runInScope(() => container.get("handler")).then(() => {
+				throw new Error("promise resolved but expecting rejection");
+			}, (error) => {
+				expect(error.cause.code).to.equal("CAPTIVE_DEPENDENCY");
+				expect(error.message).to.contain("singleton bean 'handler' cannot depend on " +
+						"request-scoped bean 'user'");
+			});
+			expect(count).to.equal(0);
+		});
 
-			expect((await container.get("original")).bar).to.equal("baz");
-			expect((await container.get("foo")).bar).to.equal("qux");
+		it("throws binding method of request-scoped bean in singleton", async function () {
+			container.register(requestScoped("user"), factory(() => ({ name() {} })));
+			container.register("handler", constructor(ContainerTestBean), bound("user.name"));
+
+			await container.runInScope(() => container.get("handler")).then(() => {
+				throw new Error("promise resolved but expecting rejection");
+			}, (error) => {
+				expect(error.cause.code).to.equal("CAPTIVE_DEPENDENCY");
+				expect(error.message).to.contain("singleton bean 'handler' cannot depend on " +
+						"request-scoped bean 'user'");
+			});
 		});
 
-		it("sets into a Map", async function () {
-			container.register("foo", value(new Map()));
-			container.register("foo.bar", value("baz"));
+		it("injects tagged request-scoped beans in request-scoped bean", async function () {
+			let count = 0;
+			container.register(tag(requestScoped("user"), "context"),
+					factory(() => ({ id: ++count })));
+			container.register(requestScoped("handler"), factory(context => context),
+					tagged("context"));
+
+			const ids = [];
+			for (let i = 0; i < 2; i++) {
+				const [user] = await container.runInScope(() => container.get("handler"));
+				ids.push(user.id);
+			}
 
-			expect((await container.get("foo")).get("bar")).to.equal("baz");
+			expect(ids).to.deep.equal([1, 2]);
 		});
 
-		it("gets from a Map", async function () {
-			const map = new Map();
-			map.set("bar", "baz");
+		it("throws getting bean outside scope", async function () {
+			container.register(requestScoped("foo"), constructor(ContainerTestBean));
 
-			container.register("foo", value(map));
+			await container.get("foo").then(() => {
+				throw new Error("promise resolved but expecting rejection");
+			}, (error) => {
+				expect(error).to.be.an.instanceof(BeanError);
+				expect(error.message).to.contain("request-scoped bean 'foo' " +
+						"can only be created within runInScope()");
+			});
+		});
 
-			expect((await container.get("foo.bar"))).to.equal("baz");
+		it("disposes beans in reverse creation order when scope ends", async function () {
+			const events = [];
+			container.register(requestScoped("foo"), resource(() => "foo",
+					() => events.push("release foo")));
+			container.register(requestScoped("bar"), factory(foo => ({
+				dispose() {
+					events.push("dispose bar");
+				}
+			})), "foo");
+
+			const result = await container.runInScope(async () => {
+				await container.get("bar");
+				events.push("end");
+				return "result";
+			});
+
+			expect(result).to.equal("result");
+			expect(events).to.deep.equal(["end", "dispose bar", "release foo"]);
 		});
 
-		it("sets into a Container", async function () {
-			container.register("foo", value(new Container()));
-			container.register("foo.bar", value("baz"));
+		it("disposes beans when scope fails", async function () {
+			const events = [];
+			container.register(requestScoped("foo"), resource(() => "foo",
+					() => events.push("release foo")));
+
+			await container.runInScope(async () => {
+				await container.get("foo");
+				throw new Error("failed");
+			}).then(() => {
+				throw new Error("promise resolved but expecting rejection");
+			}, (error) => {
+				expect(error.message).to.equal("failed");
+			});
 
-			const subcontainer = await container.get("foo");
-			expect(await subcontainer.get("bar")).to.equal("baz");
+			expect(events).to.deep.equal(["release foo"]);
 		});
 
-		it("gets from a Container", async function () {
-			const subcontainer = new Container();
-			subcontainer.register("bar", value("baz"));
+		it("rejects with errors disposing beans", async function () {
+			const error = new Error("cannot close");
+			container.register(requestScoped("foo"), factory(() => ({ close() { throw error; } })));
 
-			container.register("foo", value(subcontainer));
+			await container.runInScope(() => container.get("foo")).then(() => {
+				throw new Error("promise resolved but expecting rejection");
+			}, (e) => {
+				expect(e).to.be.an.instanceof(BeanError);
+				expect(e.message).to.contain("errors while disposing request-scoped beans");
+				expect(e.errors).to.deep.equal([error]);
+			});
+		});
 
-			expect(await container.get("foo.bar")).to.equal("baz");
+		it("gets request-scoped bean from parent container", async function () {
+			container.register(requestScoped("foo"), constructor(ContainerTestBean));
+			const scope = container.createScope();
+
+			await container.runInScope(async () => {
+				expect(await scope.get("foo")).to.equal(await container.get("foo"));
+			});
+		});
+
+		it("throws registering request-scoped bean with value", function () {
+			expect(() => {
+				container.register(requestScoped("foo"), value("foo"));
+			}).to.throw(BeanError, "request-scoped beans must be created using constructor()");
+		});
+
+		it("throws registering eager request-scoped bean", function () {
+			expect(() => {
+				container.register(eager(requestScoped("foo")), constructor(ContainerTestBean));
+			}).to.throw(BeanError, "argument to eager() must be a bean specifier");
+		});
+
+		it("rejects getting beans after scope has finished", async function () {
+			const log = [];
+			container.register(requestScoped("foo"),
+					resource(() => "foo", (bean) => log.push(`release ${bean}`)));
+
+			let later;
+			await container.runInScope(async () => {
+				later = new Promise(resolve => setTimeout(resolve, 1))
+				.then(() => container.get("foo"));
+			});
+
+			await later.then(() => {
+				throw new Error("promise resolved but expecting rejection");
+			}, (error) => {
+				expect(error).to.be.an.instanceof(BeanError);
+				expect(error.code).to.equal("NO_REQUEST_SCOPE");
+			});
+			expect(log).to.deep.equal([]);
+		});
+
+		it("throws running non-function in scope", async function () {
+			await container.runInScope("foo").then(() => {
+				throw new Error("promise resolved but expecting rejection");
+			}, (error) => {
+				expect(error).to.be.an.instanceof(BeanError);
+			});
 		});
 
 	});
 
-	describe("custom collections", function () {
+	describe("disposal", function () {
 
-		class SynchronousCollection {
-			constructor() {
-				this.store = {};
-			}
-			retrieve(name) {
-				return this.store[name];
+		class Closeable {
+			constructor(log, name) {
+				this.log = log;
+				this.name = name;
 			}
-			put(name, val) {
-				this.store[name] = val;
+			close() {
+				this.log.push(this.name);
 			}
 		}
 
-		const synchronousCollectionSpecfier = collection("foo",
-				SynchronousCollection.prototype.retrieve,
-				SynchronousCollection.prototype.put);
+		it("disposes beans in reverse dependency order", async function () {
+			const log = [];
 
-		class AsynchronousCollection {
-			constructor() {
-				this.store = {};
-			}
-			async retrieve(name) {
-				return this.store[name];
+			container.register("foo", factory((bar) => new Closeable(log, "foo")), "bar");
+			container.register("bar", factory((baz) => new Closeable(log, "bar")), "baz");
+			container.register("baz", factory(() => new Closeable(log, "baz")));
+
+			await container.get("foo");
+			await container.dispose();
+
+			expect(log).to.deep.equal(["foo", "bar", "baz"]);
+		});
+
+		it("disposes beans in reverse dependency order with asynchronous injectors",
+				async function () {
+			const log = [];
+			let createPool;
+
+			container.register("repo", factory(() => new Closeable(log, "repo")), promise("pool"));
+			container.register("pool", factory(() => new Promise(resolve => {
+				createPool = () => resolve(new Closeable(log, "pool"));
+			})));
+			container.register("cache", factory(() => new Closeable(log, "cache")), lazy("store"));
+			container.register("store", factory(() => new Closeable(log, "store")));
+
+			await container.get("repo");
+			createPool();
+			await container.get("pool");
+			await container.get("cache");
+			await container.get("store");
+			await container.dispose();
+
+			expect(log).to.deep.equal(["cache", "store", "repo", "pool"]);
+		});
+
+		it("prefers dispose and asyncDispose methods to close", async function () {
+			const log = [];
+
+			container.register("foo", factory(() => ({
+				dispose() { log.push("dispose"); },
+				close() { log.push("close"); }
+			})));
+
+			await container.get("foo");
+			await container.dispose();
+
+			expect(log).to.deep.equal(["dispose"]);
+
+			if (typeof Symbol.asyncDispose !== 'symbol') return;
+
+			container = new Container();
+			container.register("bar", factory(() => ({
+				[Symbol.asyncDispose]: async () => { log.push("asyncDispose"); },
+				dispose() { log.push("dispose"); }
+			})));
+
+			await container.get("bar");
+			await container.dispose();
+
+			expect(log).to.deep.equal(["dispose", "asyncDispose"]);
+		});
+
+		it("uses release function of resource", async function () {
+			const log = [];
+
+			container.register("foo", resource(async () => "bar", (bean) => log.push(bean)));
+
+			await container.get("foo");
+			await container.dispose();
+
+			expect(log).to.deep.equal(["bar"]);
+		});
+
+		it("throws registering resource without release function", function () {
+			expect(() => {
+				container.register("foo", resource(() => "bar"));
+			}).to.throw(BeanError);
+		});
+
+		it("does not dispose pre-created beans or uncreated beans", async function () {
+			const log = [];
+
+			container.register("foo", value(new Closeable(log, "foo")));
+			container.register("bar", factory(() => new Closeable(log, "bar")));
+
+			await container.get("foo");
+			await container.dispose();
+
+			expect(log).to.deep.equal([]);
+		});
+
+		it("disposes aliased beans once only", async function () {
+			const log = [];
+
+			container.register("foo", factory(() => new Closeable(log, "foo")));
+			container.register("bar", "foo");
+
+			await container.get("bar");
+			await container.dispose();
+
+			expect(log).to.deep.equal(["foo"]);
+		});
+
+		it("awaits pending beans before disposing them", async function () {
+			const log = [];
+			let release;
+
+			container.register("foo", factory(() => new Promise(resolve => {
+				release = () => resolve(new Closeable(log, "foo"));
+			})));
+
+			const promisedFoo = container.get("foo");
+			await Promise.resolve();
+
+			const disposal = container.dispose();
+			release();
+
+			await promisedFoo;
+			await disposal;
+
+			expect(log).to.deep.equal(["foo"]);
+		});
+
+		it("collects teardown errors", async function () {
+			const log = [];
+
+			container.register("foo", resource(() => "foo", () => { throw new Error("bummer"); }));
+			container.register("bar", resource(() => "bar", () => { throw new Error("oops"); }));
+			container.register("baz", factory(() => new Closeable(log, "baz")));
+
+			await container.get("foo");
+			await container.get("bar");
+			await container.get("baz");
+
+			await container.dispose().then(
+					() => { throw new Error("promise resolved but expecting rejection"); },
+					(error) => {
+						expect(error).to.be.an.instanceOf(BeanError);
+						expect(error.errors.map(e => e.message)).to.deep.equal(["oops", "bummer"]);
+					}
+			);
+
+			expect(log).to.deep.equal(["baz"]);
+		});
+
+	});
+
+	describe("errors", function () {
+
+		const rejection = promise => promise.then(
+				() => { throw new Error("promise resolved but expecting rejection"); },
+				error => error
+		);
+
+		it("has code, bean name and path for missing bean", async function () {
+			const error = await rejection(container.get("foo"));
+
+			expect(error).to.be.an.instanceOf(BeanError);
+			expect(error.code).to.equal("NO_BEAN");
+			expect(error.beanName).to.equal("foo");
+			expect(error.path).to.deep.equal(["foo"]);
+		});
+
+		it("has code and bean name for duplicate registration", function () {
+			container.register("foo", value("foo"));
+
+			try {
+				container.register("foo", value("bar"));
+			} catch (error) {
+				expect(error.code).to.equal("ALREADY_REGISTERED");
+				expect(error.beanName).to.equal("foo");
+				return;
 			}
-			async put(name, val) {
-				this.store[name] = val;
+
+			throw new Error("expected registration to throw");
+		});
+
+		it("has code for invalid argument", function () {
+			try {
+				container.register("foo", "bar", 1);
+			} catch (error) {
+				expect(error.code).to.equal("INVALID_ARGUMENT");
+				expect(error.beanName).to.be.undefined;
+				expect(error.path).to.deep.equal([]);
+				return;
 			}
-		}
 
-		const asynchronousCollectionSpecfier = collection("foo",
-				AsynchronousCollection.prototype.retrieve,
-				AsynchronousCollection.prototype.put);
+			throw new Error("expected registration to throw");
+		});
 
-		it("sets synchronously into a custom collection", async function () {
-			container.register(synchronousCollectionSpecfier, value(new SynchronousCollection()));
-			container.register("foo.bar", value("baz"));
+		it("has resolution path down to missing dependency", async function () {
+			container.register("foo", constructor(ContainerTestBean), "bar");
+			container.register("bar", constructor(ContainerTestBean), "baz");
 
-			expect((await container.get("foo")).retrieve("bar")).to.equal("baz");
+			const error = await rejection(container.get("foo"));
+
+			expect(error.code).to.equal("CREATION_FAILED");
+			expect(error.beanName).to.equal("foo");
+			expect(error.path).to.deep.equal(["foo", "bar", "baz"]);
+			expect(error.cause.code).to.equal("CREATION_FAILED");
+			expect(error.cause.path).to.deep.equal(["bar", "baz"]);
+			expect(error.cause.cause.code).to.equal("NO_BEAN");
+			expect(error.cause.cause.beanName).to.equal("baz");
 		});
 
-		it("gets synchronously from a custom collection", async function () {
-			const myCollection = new SynchronousCollection();
-			myCollection.put("bar", "baz");
+		it("has resolution path around cycle", async function () {
+			container.register("foo", constructor(ContainerTestBean), "bar");
+			container.register("bar", constructor(ContainerTestBean), "foo");
 
-			container.register(synchronousCollectionSpecfier, value(myCollection));
+			const error = await rejection(container.get("foo"));
 
-			expect((await container.get("foo.bar"))).to.equal("baz");
+			expect(error.path).to.deep.equal(["foo", "bar", "foo"]);
+			expect(error.cause.cause.code).to.equal("CYCLE");
 		});
 
-		it("sets asynchronously into a custom collection", async function () {
-			container.register(asynchronousCollectionSpecfier, value(new AsynchronousCollection()));
-			container.register("foo.bar", value("baz"));
+		it("wraps creation failure in bean error with original as cause", async function () {
+			class CustomError extends Error {}
+			const original = new CustomError("bummer");
 
-			const myCollection = await container.get("foo");
-			expect(await myCollection.retrieve("bar")).to.equal("baz");
+			container.register("foo", factory(() => { throw original; }));
+			container.register("bar", factory(foo => foo), "foo");
+
+			const error = await rejection(container.get("bar"));
+
+			expect(error).to.be.an.instanceOf(BeanError);
+			expect(error.path).to.deep.equal(["bar", "foo"]);
+			expect(error.cause).to.be.an.instanceOf(BeanError);
+			expect(error.cause.beanName).to.equal("foo");
+			expect(error.cause.path).to.deep.equal(["foo"]);
+			expect(error.cause.cause).to.equal(original);
+			expect(error.message).to.equal("while creating bean 'bar':\n" +
+					"BeanError: while creating bean 'foo':\nError: bummer");
 		});
 
-		it("gets asynchronously from a custom collection", async function () {
-			const myCollection = new AsynchronousCollection();
-			await myCollection.put("bar", "baz");
+		it("does not repeat bean in path for its own timeout", async function () {
+			container.register("foo", factory(() => new Promise(() => {}), { timeout: 10 }));
 
-			container.register(asynchronousCollectionSpecfier, value(myCollection));
+			const error = await rejection(container.get("foo"));
 
-			expect(await container.get("foo.bar")).to.equal("baz");
+			expect(error.code).to.equal("CREATION_FAILED");
+			expect(error.path).to.deep.equal(["foo"]);
+			expect(error.cause.code).to.equal("TIMEOUT");
 		});
 
-		it('replaces with a custom collection', async function () {
-			container.register("foo", value("bar"));
-			container.register(replacement(asynchronousCollectionSpecfier),
-					value(new AsynchronousCollection()));
-			container.register("foo.bar", value("baz"));
+		it("has code and path for captive dependency", async function () {
+			container.register(transient("foo"), constructor(ContainerTestBean));
+			container.register("bar", constructor(ContainerTestBean), "foo");
 
-			const myCollection = await container.get("foo");
-			expect(await myCollection.retrieve("bar")).to.equal("baz");
+			const error = await rejection(container.get("bar"));
+
+			expect(error.path).to.deep.equal(["bar", "foo"]);
+			expect(error.cause.code).to.equal("CAPTIVE_DEPENDENCY");
+		});
+
+		it("keeps code of wrapped error in manifest", function () {
+			container.register("foo", value("foo"));
+
+			try {
+				container.registerManifest({ foo: { value: "bar" } });
+			} catch (error) {
+				expect(error.code).to.equal("ALREADY_REGISTERED");
+				expect(error.beanName).to.equal("foo");
+				expect(error.cause.code).to.equal("ALREADY_REGISTERED");
+				return;
+			}
+
+			throw new Error("expected registration to throw");
+		});
+
+		it("has code for aggregated errors", async function () {
+			container.register("foo", factory(() => { throw new Error("bummer"); }));
+
+			const error = await rejection(container.start(["foo"]));
+
+			expect(error.code).to.equal("START_FAILED");
+			expect(error.errors[0].code).to.equal("CREATION_FAILED");
 		});
 
 	});
@@ -872,14 +4100,25 @@ describe('Container', function () {
 			"Container": "constructor",
 			"collection": "specifier",
 			"replacement": "specifier",
+			"transient": "specifier",
+			"requestScoped": "specifier",
+			"eager": "specifier",
+			"tag": "specifier",
 			"bean": "specifier/creator/injector",
 			"value": "creator/injector",
 			"promise": "creator/injector",
 			"constructor": "creator",
 			"factory": "creator",
+			"resource": "creator",
 			"bound": "injector",
 			"promiser": "injector",
 			"seeker": "injector",
+			"lazy": "injector",
+			"optional": "injector",
+			"tagged": "injector",
+			"signal": "injector",
+			"configFile": "configuration source",
+			"configEnv": "configuration source",
 			"BeanError": "class"
 		}).forEach(([ name, kind ]) => {
 			it(`has reference to ${name} ${kind} on container instance`, function () {